@@ -0,0 +1,146 @@
+/**
+ * Agent Log Client
+ * Fetches an agent's execution logs from the backend logs endpoint
+ * Normalizes the different entry shapes the backend may return into one log entry shape
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+class AgentLogClient {
+    constructor(options = {}) {
+        // Configuration
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.logsEndpoint = options.logsEndpoint || '/api/v1/agents/{agentName}/logs';
+        this.timeout = options.timeout || 15000;
+    }
+
+    /**
+     * Build the logs URL for an agent with its query parameters
+     * filters: { level, since, until, runId }
+     */
+    buildLogsUrl(agentName, { page = 1, pageSize = 50, filters = {} } = {}) {
+        const params = new URLSearchParams({ page: String(page), page_size: String(pageSize) });
+        if (filters.level) params.set('level', filters.level);
+        if (filters.since) params.set('since', new Date(filters.since).toISOString());
+        if (filters.until) params.set('until', new Date(filters.until).toISOString());
+        if (filters.runId) params.set('run_id', filters.runId);
+        return `${this.baseUrl}${this.logsEndpoint.replace('{agentName}', encodeURIComponent(agentName))}?${params.toString()}`;
+    }
+
+    /**
+     * Fetch one page of logs, newest first
+     * Returns { entries, total, page, pageSize, hasMore, hiddenCount }
+     * Paging follows the server: hasMore says whether older server pages exist, and hiddenCount is how many
+     * entries of this page the filters dropped on the client (total is unknown once any were dropped)
+     */
+    async fetchLogs(agentName, { page = 1, pageSize = 50, filters = {} } = {}) {
+        const response = await fetch(this.buildLogsUrl(agentName, { page, pageSize, filters }), {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status}${errorText ? ` - ${errorText}` : ''}`);
+        }
+
+        const data = await response.json();
+        const rawEntries = Array.isArray(data) ? data : (data.logs || data.entries || data.items || []);
+        const entries = this.assignFallbackIds(rawEntries.map(rawEntry => this.normalizeEntry(rawEntry)))
+            // Backends without server-side filtering still get the filters applied
+            .filter(entry => this.matchesFilters(entry, filters))
+            .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+        const serverTotal = data.total ?? data.total_count ?? null;
+        const hiddenCount = rawEntries.length - entries.length;
+
+        return {
+            entries,
+            // The server's total counts entries the client-side filters would drop
+            total: hiddenCount > 0 ? null : serverTotal,
+            page,
+            pageSize,
+            hasMore: serverTotal !== null ? page * pageSize < serverTotal : (data.has_more ?? rawEntries.length === pageSize),
+            hiddenCount
+        };
+    }
+
+    /**
+     * Map a backend log record into { id, timestamp, level, runId, message, request, response, raw }
+     */
+    normalizeEntry(rawEntry) {
+        const level = String(rawEntry.level || rawEntry.severity || rawEntry.levelname || 'info').toLowerCase();
+        const timestamp = rawEntry.timestamp || rawEntry.created_at || rawEntry.time || null;
+        const runId = rawEntry.run_id || rawEntry.runId || rawEntry.execution_id || null;
+        const message = rawEntry.message || rawEntry.msg || rawEntry.event || '';
+        return {
+            // Entries without an id are keyed by content (see assignFallbackIds)
+            id: rawEntry.id || rawEntry.log_id || null,
+            timestamp,
+            level: level === 'warn' ? 'warning' : (level === 'critical' ? 'error' : level),
+            runId,
+            message,
+            request: rawEntry.request ?? rawEntry.input ?? rawEntry.prompt ?? null,
+            response: rawEntry.response ?? rawEntry.output ?? rawEntry.completion ?? null,
+            raw: rawEntry
+        };
+    }
+
+    /**
+     * Give entries without a backend id a content key plus occurrence number, oldest first
+     * Repeated messages get distinct ids, and follow-mode polls of the same page produce the same ids again
+     */
+    assignFallbackIds(entries) {
+        const occurrences = {};
+        entries
+            .filter(entry => entry.id === null)
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+            .forEach(entry => {
+                const key = `${entry.timestamp}|${entry.runId}|${entry.message}`;
+                occurrences[key] = (occurrences[key] || 0) + 1;
+                entry.id = `${key}#${occurrences[key]}`;
+            });
+        return entries;
+    }
+
+    /**
+     * Whether an entry passes the level, time range and run ID filters
+     * The level filter is a minimum severity
+     */
+    matchesFilters(entry, filters = {}) {
+        if (filters.level && LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(filters.level)) {
+            return false;
+        }
+        const time = entry.timestamp ? new Date(entry.timestamp).getTime() : null;
+        if (filters.since && time !== null && time < new Date(filters.since).getTime()) {
+            return false;
+        }
+        if (filters.until && time !== null && time > new Date(filters.until).getTime()) {
+            return false;
+        }
+        if (filters.runId && !String(entry.runId || '').includes(filters.runId)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Pretty JSON for a payload (strings that hold JSON are parsed first)
+     */
+    formatPayload(payload) {
+        if (payload === null || payload === undefined) {
+            return '';
+        }
+        if (typeof payload === 'string') {
+            try {
+                return JSON.stringify(JSON.parse(payload), null, 2);
+            } catch (error) {
+                return payload;
+            }
+        }
+        return JSON.stringify(payload, null, 2);
+    }
+}
+
+// Export for use in other modules
+window.AgentLogClient = AgentLogClient;
+window.LOG_LEVELS = LOG_LEVELS;
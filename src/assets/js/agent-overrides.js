@@ -0,0 +1,148 @@
+/**
+ * Agent Overrides
+ * Per-agent model and sampling parameter overrides for evaluation runs
+ * Overrides are stored per workflow, sent with each run as agent_overrides and recorded with the results
+ */
+
+// Parameters an override may set and the values the editor accepts
+const AGENT_OVERRIDE_PARAMS = {
+    model: { label: 'Model' },
+    temperature: { label: 'Temperature', min: 0, max: 2 },
+    max_tokens: { label: 'Max tokens', min: 1, integer: true },
+    top_p: { label: 'Top P', min: 0, max: 1 },
+    seed: { label: 'Seed', integer: true }
+};
+
+class AgentOverrideStore {
+    constructor() {
+        // Configuration
+        this.storageKey = 'evaluation_agent_overrides';
+    }
+
+    /**
+     * Empty override for the editor (nothing overridden)
+     */
+    createOverride() {
+        return { model: '', temperature: '', max_tokens: '', top_p: '', seed: '' };
+    }
+
+    /**
+     * Get the stored overrides for a workflow: { agentName: override }
+     */
+    getOverrides(workflowId) {
+        if (typeof Storage === 'undefined') {
+            return {};
+        }
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return all[workflowId] || {};
+        } catch (error) {
+            console.warn('AgentOverrideStore: Failed to load overrides from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the overrides for a workflow (only the parameters that are set)
+     */
+    saveOverrides(workflowId, overrides) {
+        if (!workflowId) {
+            return;
+        }
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            all[workflowId] = this.normalize(overrides);
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.warn('AgentOverrideStore: Failed to save overrides to localStorage:', error);
+        }
+    }
+
+    /**
+     * Whether an editor value is set (blank inputs hold '' or null)
+     */
+    isSet(value) {
+        return value !== '' && value !== null && value !== undefined;
+    }
+
+    /**
+     * Validate one agent's override
+     * Returns an error message or null
+     */
+    validate(override) {
+        for (const [param, rules] of Object.entries(AGENT_OVERRIDE_PARAMS)) {
+            const value = override?.[param];
+            if (param === 'model' || !this.isSet(value)) {
+                continue;
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                return `${rules.label} must be a number`;
+            }
+            if (rules.integer && !Number.isInteger(number)) {
+                return `${rules.label} must be a whole number`;
+            }
+            if ((rules.min !== undefined && number < rules.min) || (rules.max !== undefined && number > rules.max)) {
+                return `${rules.label} must be ${rules.max !== undefined ? `between ${rules.min} and ${rules.max}` : `at least ${rules.min}`}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Overrides reduced to the parameters that are set, with numbers coerced
+     * Agents with nothing set are left out: { agentName: { model, temperature, ... } }
+     */
+    normalize(overrides) {
+        const normalized = {};
+        Object.entries(overrides || {}).forEach(([agentName, override]) => {
+            const params = {};
+            Object.keys(AGENT_OVERRIDE_PARAMS).forEach(param => {
+                const value = typeof override?.[param] === 'string' ? override[param].trim() : override?.[param];
+                if (this.isSet(value)) {
+                    params[param] = param === 'model' ? value : Number(value);
+                }
+            });
+            if (Object.keys(params).length > 0) {
+                normalized[agentName] = params;
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Short description of one agent's override, e.g. "gpt-4.1-mini, temperature 0.2, seed 7"
+     */
+    describe(override) {
+        return Object.entries(this.normalize({ agent: override }).agent || {})
+            .map(([param, value]) => (param === 'model' ? value : `${param} ${value}`))
+            .join(', ');
+    }
+
+    /**
+     * Record the overrides a run used with its results
+     * Sets results.agentOverrides and agentResult.overrides; results without a reported model get the overridden one
+     */
+    applyToResults(results, overrides) {
+        if (!results) {
+            return results;
+        }
+        const normalized = this.normalize(overrides);
+        results.agentOverrides = Object.keys(normalized).length > 0 ? normalized : null;
+        (results.agentResults || []).forEach(agentResult => {
+            const override = normalized[agentResult.agentName] || null;
+            agentResult.overrides = override;
+            if (override?.model && (!agentResult.model || agentResult.model === 'unknown')) {
+                agentResult.model = override.model;
+            }
+        });
+        return results;
+    }
+}
+
+// Global instance for easy access
+window.agentOverrideStore = new AgentOverrideStore();
+
+// Export for use in other modules
+window.AgentOverrideStore = AgentOverrideStore;
+window.AGENT_OVERRIDE_PARAMS = AGENT_OVERRIDE_PARAMS;
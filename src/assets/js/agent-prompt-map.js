@@ -0,0 +1,143 @@
+/**
+ * Agent Prompt Map
+ * Resolves which prompt files each workflow agent consumes
+ * Sources, in order of precedence: the backend agent prompt endpoint, an agent_prompts.json
+ * manifest in the prompt revision, prompt_file(s) declared on the agent, and finally a file-name guess
+ */
+
+// Manifest file read from the prompt revision: { "agents": { "agent_name": ["file.jinja", ...] } }
+const AGENT_PROMPT_MANIFEST_FILE = 'agent_prompts.json';
+
+class AgentPromptMap {
+    constructor(options = {}) {
+        // Configuration
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.agentPromptEndpoint = options.agentPromptEndpoint || '/api/v1/agents/{agentName}/prompt';
+        this.promptViewEndpoint = options.promptViewEndpoint || '/api/v1/prompts/view';
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    /**
+     * Build the mapping for a workflow's agents
+     * promptFiles: prompt file names of the revision, used to resolve and guess file names
+     * Returns { agentName: { files: [], source: 'backend' | 'manifest' | 'agent' | 'inferred' | 'none' } }
+     */
+    async load({ agents, revisionId = null, promptFiles = [] }) {
+        const manifest = revisionId ? await this.loadManifest(revisionId) : null;
+        const backendFiles = await Promise.all(agents.map(agent => this.loadAgentPromptFiles(agent.agent_name)));
+
+        const mapping = {};
+        agents.forEach((agent, index) => {
+            const candidates = [
+                ['backend', backendFiles[index]],
+                ['manifest', manifest?.[agent.agent_name]],
+                ['agent', this.toFileList(agent.prompt_files || agent.prompt_file)],
+                ['inferred', this.inferFiles(agent.agent_name, promptFiles)]
+            ];
+            const [source, files] = candidates.find(([, candidate]) => candidate && candidate.length > 0) || ['none', []];
+            mapping[agent.agent_name] = {
+                files: [...new Set(files.map(file => this.resolveFile(file, promptFiles)))],
+                source
+            };
+        });
+        return mapping;
+    }
+
+    /**
+     * Prompt files the backend reports for an agent (null when unavailable)
+     */
+    async loadAgentPromptFiles(agentName) {
+        try {
+            const url = `${this.baseUrl}${this.agentPromptEndpoint.replace('{agentName}', encodeURIComponent(agentName))}`;
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            return this.toFileList(data.prompt_files || data.prompt_file || data.file_name || data.file_path);
+        } catch (error) {
+            console.warn(`AgentPromptMap: No prompt mapping from the backend for ${agentName}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read the revision's agent_prompts.json manifest: { agentName: [files] } (null when absent)
+     */
+    async loadManifest(revisionId) {
+        try {
+            const url = `${this.baseUrl}${this.promptViewEndpoint}/${encodeURIComponent(revisionId)}/${AGENT_PROMPT_MANIFEST_FILE}`;
+            const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+            if (!response.ok) {
+                return null;
+            }
+            const data = JSON.parse(await response.text());
+            const declared = data.agents || data;
+            const manifest = {};
+            Object.entries(declared).forEach(([agentName, files]) => {
+                manifest[agentName] = this.toFileList(files);
+            });
+            return manifest;
+        } catch (error) {
+            console.warn(`AgentPromptMap: Could not read ${AGENT_PROMPT_MANIFEST_FILE} from revision ${revisionId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Normalize a file or list of files into an array of names
+     */
+    toFileList(files) {
+        if (!files) return null;
+        return (Array.isArray(files) ? files : [files])
+            .map(file => (typeof file === 'string' ? file : file?.name || file?.file_name))
+            .filter(Boolean);
+    }
+
+    /**
+     * File name without directory or extension
+     */
+    getStem(file) {
+        return (file || '').split('/').pop().replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Match a declared file to a revision file (declarations may use another extension, e.g. .md)
+     */
+    resolveFile(file, promptFiles) {
+        if (promptFiles.includes(file)) {
+            return file;
+        }
+        return promptFiles.find(candidate => this.getStem(candidate) === this.getStem(file)) || file;
+    }
+
+    /**
+     * Guess an agent's prompt from file names (customer_sentiment_agent.jinja -> customer_sentiment_agent)
+     */
+    inferFiles(agentName, promptFiles) {
+        const exact = promptFiles.find(file => this.getStem(file) === agentName);
+        if (exact) {
+            return [exact];
+        }
+        const partial = promptFiles.find(file => this.getStem(file).startsWith(agentName) || agentName.startsWith(this.getStem(file)));
+        return partial ? [partial] : [];
+    }
+
+    /**
+     * Agents consuming a prompt file
+     */
+    getPromptAgents(mapping, filePath) {
+        const stem = this.getStem(filePath);
+        return Object.keys(mapping || {}).filter(agentName =>
+            mapping[agentName].files.some(file => file === filePath || this.getStem(file) === stem));
+    }
+}
+
+// Global instance for easy access
+window.agentPromptMap = new AgentPromptMap();
+
+// Export for use in other modules
+window.AgentPromptMap = AgentPromptMap;
@@ -0,0 +1,347 @@
+/**
+ * Assertion Scorer
+ * Scores evaluation results against user-defined assertions
+ * Assertions are stored per workflow and target the final output or a single agent
+ */
+
+// Supported assertion types and the fields each one uses
+const ASSERTION_TYPES = {
+    contains: { label: 'Contains', fields: ['value'] },
+    not_contains: { label: 'Does not contain', fields: ['value'] },
+    regex: { label: 'Matches regex', fields: ['value'] },
+    json_schema: { label: 'Valid against JSON schema', fields: ['value'] },
+    numeric_range: { label: 'Numeric field in range', fields: ['field', 'min', 'max'] },
+    max_tokens: { label: 'Max tokens', fields: ['max'] },
+    max_latency: { label: 'Max latency (ms)', fields: ['max'] }
+};
+
+// Target id used for assertions on the final workflow output
+const WORKFLOW_OUTPUT_TARGET = '__workflow__';
+
+class AssertionScorer {
+    constructor() {
+        // Configuration
+        this.storageKey = 'evaluation_assertions';
+    }
+
+    /**
+     * Load all stored assertions, keyed by workflow id
+     */
+    loadAll() {
+        if (typeof Storage === 'undefined') {
+            return {};
+        }
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('AssertionScorer: Failed to load assertions from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the assertions defined for a workflow
+     */
+    getAssertions(workflowId) {
+        return this.loadAll()[workflowId] || [];
+    }
+
+    /**
+     * Persist the assertions for a workflow
+     */
+    saveAssertions(workflowId, assertions) {
+        if (!workflowId) {
+            return;
+        }
+        try {
+            const all = this.loadAll();
+            all[workflowId] = JSON.parse(JSON.stringify(assertions));
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.warn('AssertionScorer: Failed to save assertions to localStorage:', error);
+        }
+    }
+
+    /**
+     * New assertion with defaults for the editor
+     */
+    createAssertion(type = 'contains', target = WORKFLOW_OUTPUT_TARGET) {
+        return {
+            id: `assertion-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            target,
+            type,
+            value: '',
+            field: '',
+            min: null,
+            max: null,
+            caseSensitive: false
+        };
+    }
+
+    /**
+     * Human-readable description of an assertion
+     */
+    describe(assertion) {
+        const label = ASSERTION_TYPES[assertion.type]?.label || assertion.type;
+        switch (assertion.type) {
+            case 'contains':
+            case 'not_contains':
+            case 'regex':
+                return `${label} "${assertion.value}"`;
+            case 'json_schema':
+                return label;
+            case 'numeric_range':
+                return `${assertion.field || 'output'} in [${assertion.min ?? '-∞'}, ${assertion.max ?? '∞'}]`;
+            default:
+                return `${label} ≤ ${assertion.max}`;
+        }
+    }
+
+    /**
+     * Score results against assertions
+     * Sets results.score and agentResult.score; returns the run score
+     */
+    scoreResults(results, assertions = []) {
+        if (!results) {
+            return null;
+        }
+
+        const checks = assertions.map(assertion => this.evaluateAssertion(assertion, results));
+        results.score = this.summarizeChecks(checks);
+
+        (results.agentResults || []).forEach(agentResult => {
+            const agentChecks = checks.filter(check => check.target === agentResult.agentName);
+            agentResult.score = agentChecks.length ? this.summarizeChecks(agentChecks) : null;
+        });
+
+        return results.score;
+    }
+
+    /**
+     * Aggregate checks into { score (0-100), passed, total, checks }
+     */
+    summarizeChecks(checks) {
+        const passed = checks.filter(check => check.passed).length;
+        return {
+            score: checks.length ? Math.round((passed / checks.length) * 100) : null,
+            passed,
+            total: checks.length,
+            checks
+        };
+    }
+
+    /**
+     * Evaluate one assertion against the final output or an agent result
+     * Returns { assertionId, target, description, passed, message }
+     */
+    evaluateAssertion(assertion, results) {
+        const check = {
+            assertionId: assertion.id,
+            target: assertion.target,
+            description: this.describe(assertion),
+            passed: false,
+            message: ''
+        };
+
+        let subject;
+        if (assertion.target === WORKFLOW_OUTPUT_TARGET) {
+            subject = {
+                output: results.workflowOutput || '',
+                tokens: results.totalTokens ?? 0,
+                latency: results.totalTime ?? 0
+            };
+        } else {
+            const agentResult = (results.agentResults || []).find(result => result.agentName === assertion.target);
+            if (!agentResult) {
+                check.message = `Agent ${assertion.target} did not run`;
+                return check;
+            }
+            subject = {
+                output: agentResult.output || '',
+                tokens: agentResult.tokensUsed ?? 0,
+                latency: agentResult.executionTime ?? 0
+            };
+        }
+
+        try {
+            Object.assign(check, this.runCheck(assertion, subject));
+        } catch (error) {
+            check.passed = false;
+            check.message = error.message;
+        }
+
+        return check;
+    }
+
+    /**
+     * Run a single assertion type against { output, tokens, latency }
+     */
+    runCheck(assertion, subject) {
+        const output = subject.output;
+
+        switch (assertion.type) {
+            case 'contains':
+            case 'not_contains': {
+                const haystack = assertion.caseSensitive ? output : output.toLowerCase();
+                const needle = assertion.caseSensitive ? assertion.value : assertion.value.toLowerCase();
+                const found = haystack.includes(needle);
+                const passed = assertion.type === 'contains' ? found : !found;
+                return { passed, message: found ? 'Text found in output' : 'Text not found in output' };
+            }
+            case 'regex': {
+                const pattern = new RegExp(assertion.value, assertion.caseSensitive ? '' : 'i');
+                const match = output.match(pattern);
+                return { passed: Boolean(match), message: match ? `Matched "${match[0]}"` : 'No match' };
+            }
+            case 'json_schema': {
+                const data = this.parseJsonOutput(output);
+                const schema = assertion.value ? JSON.parse(assertion.value) : {};
+                const errors = this.validateJsonSchema(data, schema, '$');
+                return { passed: errors.length === 0, message: errors.length ? errors.join('; ') : 'Output matches schema' };
+            }
+            case 'numeric_range': {
+                const raw = assertion.field ? this.extractField(this.parseJsonOutput(output), assertion.field) : output.trim();
+                const value = typeof raw === 'number' ? raw : parseFloat(raw);
+                if (Number.isNaN(value)) {
+                    return { passed: false, message: `${assertion.field || 'Output'} is not a number` };
+                }
+                const passed = (assertion.min === null || assertion.min === '' || value >= assertion.min) &&
+                    (assertion.max === null || assertion.max === '' || value <= assertion.max);
+                return { passed, message: `Value ${value}` };
+            }
+            case 'max_tokens':
+                return { passed: subject.tokens <= assertion.max, message: `${subject.tokens} tokens` };
+            case 'max_latency':
+                return { passed: subject.latency <= assertion.max, message: `${subject.latency}ms` };
+            default:
+                throw new Error(`Unknown assertion type: ${assertion.type}`);
+        }
+    }
+
+    /**
+     * Parse output as JSON, allowing a fenced ```json block around it
+     */
+    parseJsonOutput(output) {
+        const fenced = output.match(/```(?:json)?\s*([\s\S]*?)```/);
+        try {
+            return JSON.parse(fenced ? fenced[1] : output);
+        } catch (error) {
+            throw new Error('Output is not valid JSON');
+        }
+    }
+
+    /**
+     * Read a dotted path (e.g. "analysis.score" or "items[0].price") from parsed JSON
+     */
+    extractField(data, path) {
+        return path
+            .replace(/\[(\d+)\]/g, '.$1')
+            .split('.')
+            .filter(Boolean)
+            .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+    }
+
+    /**
+     * Minimal JSON Schema validation (type, required, properties, items, enum, bounds, lengths)
+     * Returns a list of error messages
+     */
+    validateJsonSchema(data, schema, path) {
+        const errors = [];
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesJsonType(data, type))) {
+                errors.push(`${path} should be ${types.join(' or ')}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(data))) {
+            errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof data === 'number') {
+            if (schema.minimum !== undefined && data < schema.minimum) {
+                errors.push(`${path} should be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && data > schema.maximum) {
+                errors.push(`${path} should be <= ${schema.maximum}`);
+            }
+        }
+
+        if (typeof data === 'string') {
+            if (schema.minLength !== undefined && data.length < schema.minLength) {
+                errors.push(`${path} should have at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+                errors.push(`${path} should have at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+                errors.push(`${path} should match ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(data)) {
+            if (schema.minItems !== undefined && data.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+                errors.push(`${path} should have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                data.forEach((item, index) => {
+                    errors.push(...this.validateJsonSchema(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        } else if (data !== null && typeof data === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in data)) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in data) {
+                    errors.push(...this.validateJsonSchema(data[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a value against a JSON Schema primitive type
+     */
+    matchesJsonType(data, type) {
+        switch (type) {
+            case 'object':
+                return data !== null && typeof data === 'object' && !Array.isArray(data);
+            case 'array':
+                return Array.isArray(data);
+            case 'integer':
+                return Number.isInteger(data);
+            case 'null':
+                return data === null;
+            default:
+                return typeof data === type;
+        }
+    }
+
+    /**
+     * Get badge class for a 0-100 score
+     */
+    getScoreClass(score) {
+        if (score === null || score === undefined) return 'bg-secondary';
+        if (score === 100) return 'bg-success';
+        if (score >= 50) return 'bg-warning';
+        return 'bg-danger';
+    }
+}
+
+// Global instance for easy access
+window.assertionScorer = new AssertionScorer();
+
+// Export for use in other modules
+window.AssertionScorer = AssertionScorer;
+window.ASSERTION_TYPES = ASSERTION_TYPES;
+window.WORKFLOW_OUTPUT_TARGET = WORKFLOW_OUTPUT_TARGET;
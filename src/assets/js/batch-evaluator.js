@@ -0,0 +1,372 @@
+/**
+ * Batch Evaluator
+ * Runs a dataset of input cases against a prompt revision with a concurrency limit
+ * Handles JSONL/CSV dataset parsing, saved form snapshots and per-case cost/latency
+ */
+
+// Estimated model pricing (USD per 1M tokens) used when the backend does not report cost
+const MODEL_PRICING = {
+    'gpt-4.1': { input: 2.00, output: 8.00 },
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+
+class BatchEvaluator {
+    constructor(options = {}) {
+        // Configuration
+        this.concurrency = options.concurrency || 3;
+        this.snapshotStorageKey = 'evaluation_form_snapshots';
+    }
+
+    /**
+     * Parse a dataset file into cases: [{ id, name, inputs }]
+     */
+    parseDataset(text, fileName = '') {
+        const lowerName = fileName.toLowerCase();
+
+        if (lowerName.endsWith('.csv')) {
+            return this.parseCsv(text);
+        }
+
+        // A plain JSON array is accepted alongside JSONL
+        const trimmed = text.trim();
+        if (lowerName.endsWith('.json') || trimmed.startsWith('[')) {
+            const records = JSON.parse(trimmed);
+            if (!Array.isArray(records)) {
+                throw new Error('JSON dataset must be an array of input objects');
+            }
+            return records.map((record, index) => {
+                if (!this.isRecord(record)) {
+                    throw new Error(`Item ${index + 1} of the JSON dataset must be an object`);
+                }
+                return this.createCase(record, index);
+            });
+        }
+
+        return this.parseJsonl(text);
+    }
+
+    /**
+     * Parse JSONL: one input object per line
+     */
+    parseJsonl(text) {
+        const cases = [];
+
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            if (!line.trim()) {
+                return;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${lineIndex + 1}: ${error.message}`);
+            }
+            if (!this.isRecord(record)) {
+                throw new Error(`Line ${lineIndex + 1} must be a JSON object`);
+            }
+            cases.push(this.createCase(record, cases.length));
+        });
+
+        return cases;
+    }
+
+    /**
+     * Parse CSV: header row of field names, one case per row
+     */
+    parseCsv(text) {
+        const rows = this.parseCsvRows(text);
+        if (rows.length < 2) {
+            throw new Error('CSV dataset needs a header row and at least one case');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        return rows.slice(1)
+            .filter(row => row.some(cell => cell.trim() !== ''))
+            .map((row, index) => {
+                const record = {};
+                headers.forEach((header, column) => {
+                    if (header) {
+                        record[header] = this.coerceValue(row[column] ?? '');
+                    }
+                });
+                return this.createCase(record, index);
+            });
+    }
+
+    /**
+     * Split CSV text into rows of cells (quoted fields, escaped quotes, embedded newlines)
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Convert a CSV cell into a number, boolean, JSON value or string
+     */
+    coerceValue(raw) {
+        const value = raw.trim();
+        if (value === '') return '';
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+        if (value.startsWith('{') || value.startsWith('[')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Whether a parsed dataset record is a plain object (not null, an array or a scalar)
+     */
+    isRecord(record) {
+        return typeof record === 'object' && record !== null && !Array.isArray(record);
+    }
+
+    /**
+     * Wrap a record as a dataset case; records may be { name, inputs } or bare inputs
+     */
+    createCase(record, index) {
+        const hasWrapper = this.isRecord(record.inputs);
+        return {
+            id: `case-${index + 1}`,
+            name: (hasWrapper && record.name) || `Case ${index + 1}`,
+            inputs: hasWrapper ? record.inputs : record,
+            errors: []
+        };
+    }
+
+    /**
+     * Check each case against the workflow schema's required fields
+     */
+    validateCases(cases, requiredFields = []) {
+        cases.forEach(testCase => {
+            testCase.errors = requiredFields
+                .filter(field => {
+                    const value = testCase.inputs[field];
+                    return value === undefined || value === null || value === '';
+                })
+                .map(field => `Missing required field: ${field}`);
+        });
+        return cases;
+    }
+
+    /**
+     * Per-case result row shown in the batch results table
+     */
+    createCaseResult(testCase) {
+        return {
+            id: testCase.id,
+            name: testCase.name,
+            inputs: testCase.inputs,
+            status: 'pending', // pending | running | passed | failed | error
+            tokens: 0,
+            cost: 0,
+            latency: 0,
+            error: null,
+            results: null
+        };
+    }
+
+    /**
+     * Run every case through runCase(inputs) with at most this.concurrency in flight
+     * caseResults should come from createCaseResult() (pass a reactive array to update the UI live)
+     */
+    async runBatch(caseResults, runCase, onCaseComplete = () => {}) {
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < caseResults.length) {
+                const caseResult = caseResults[nextIndex++];
+                caseResult.status = 'running';
+                const startedAt = performance.now();
+
+                try {
+                    const results = await runCase(caseResult.inputs);
+                    caseResult.results = results;
+                    caseResult.tokens = results.totalTokens ?? results.agentResults.reduce((sum, result) => sum + result.tokensUsed, 0);
+                    caseResult.cost = this.estimateCost(results);
+                    caseResult.latency = results.totalTime || Math.round(performance.now() - startedAt);
+                    caseResult.status = this.evaluateCase(results) ? 'passed' : 'failed';
+                } catch (error) {
+                    console.error(`BatchEvaluator: case ${caseResult.name} failed:`, error);
+                    caseResult.status = 'error';
+                    caseResult.error = error.message;
+                    caseResult.latency = Math.round(performance.now() - startedAt);
+                }
+
+                onCaseComplete(caseResult);
+            }
+        };
+
+        const workerCount = Math.min(this.concurrency, caseResults.length);
+        await Promise.all(Array.from({ length: workerCount }, () => worker()));
+        return this.summarize(caseResults);
+    }
+
+    /**
+     * A case passes when the run produced output, no agent reported an error
+     * and every scoring assertion (see AssertionScorer) passed
+     */
+    evaluateCase(results) {
+        const agentResults = results.agentResults || [];
+        const hasOutput = Boolean(results.workflowOutput) || agentResults.some(result => result.output);
+        const assertionsPassed = !results.score || results.score.passed === results.score.total;
+        return hasOutput && assertionsPassed && agentResults.every(result => result.status !== 'error');
+    }
+
+    /**
+     * Estimate run cost in USD from per-agent token usage
+     */
+    estimateCost(results) {
+        if (typeof results.cost === 'number') {
+            return results.cost;
+        }
+
+        return (results.agentResults || []).reduce((sum, result) => {
+            const pricing = MODEL_PRICING[result.model];
+            if (!pricing) {
+                return sum;
+            }
+            // Without a prompt/completion split, price everything as input tokens
+            const promptTokens = result.promptTokens || (result.completionTokens ? 0 : result.tokensUsed);
+            const completionTokens = result.completionTokens || 0;
+            return sum + (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+        }, 0);
+    }
+
+    /**
+     * Aggregate batch metrics
+     */
+    summarize(caseResults) {
+        const finished = caseResults.filter(result => !['pending', 'running'].includes(result.status));
+        return {
+            total: caseResults.length,
+            completed: finished.length,
+            passed: caseResults.filter(result => result.status === 'passed').length,
+            failed: caseResults.filter(result => result.status === 'failed').length,
+            errors: caseResults.filter(result => result.status === 'error').length,
+            totalTokens: finished.reduce((sum, result) => sum + result.tokens, 0),
+            totalCost: finished.reduce((sum, result) => sum + result.cost, 0),
+            averageLatency: finished.length ? Math.round(finished.reduce((sum, result) => sum + result.latency, 0) / finished.length) : 0
+        };
+    }
+
+    /**
+     * Format a USD cost for display
+     */
+    formatCost(cost) {
+        return cost < 0.01 ? `$${cost.toFixed(5)}` : `$${cost.toFixed(2)}`;
+    }
+
+    /**
+     * Load all saved form snapshots from browser storage
+     */
+    loadSnapshots() {
+        if (typeof Storage === 'undefined') {
+            return [];
+        }
+        try {
+            return JSON.parse(localStorage.getItem(this.snapshotStorageKey)) || [];
+        } catch (error) {
+            console.warn('BatchEvaluator: Failed to load snapshots from localStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get saved form snapshots for a workflow
+     */
+    getSnapshots(workflowId) {
+        return this.loadSnapshots().filter(snapshot => snapshot.workflowId === workflowId);
+    }
+
+    /**
+     * Save the current form inputs as a named snapshot
+     */
+    saveSnapshot(workflowId, name, inputs) {
+        const snapshots = this.loadSnapshots();
+        const snapshot = {
+            id: `snapshot-${Date.now()}`,
+            workflowId,
+            name,
+            inputs: JSON.parse(JSON.stringify(inputs)),
+            savedAt: new Date().toISOString()
+        };
+
+        snapshots.push(snapshot);
+        localStorage.setItem(this.snapshotStorageKey, JSON.stringify(snapshots));
+        return snapshot;
+    }
+
+    /**
+     * Delete a saved snapshot
+     */
+    deleteSnapshot(snapshotId) {
+        const snapshots = this.loadSnapshots().filter(snapshot => snapshot.id !== snapshotId);
+        localStorage.setItem(this.snapshotStorageKey, JSON.stringify(snapshots));
+    }
+
+    /**
+     * Build dataset cases from saved snapshots
+     */
+    casesFromSnapshots(snapshots) {
+        return snapshots.map((snapshot, index) => ({
+            ...this.createCase({ name: snapshot.name, inputs: snapshot.inputs }, index),
+            id: snapshot.id
+        }));
+    }
+}
+
+// Global instance for easy access
+window.batchEvaluator = new BatchEvaluator();
+
+// Export for use in other modules
+window.BatchEvaluator = BatchEvaluator;
+window.MODEL_PRICING = MODEL_PRICING;
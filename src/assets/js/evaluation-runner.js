@@ -0,0 +1,478 @@
+/**
+ * Evaluation Runner
+ * Executes workflow runs against the backend run endpoint
+ * Maps backend run responses into the results shape used by the evaluation page
+ */
+
+class EvaluationRunner {
+    constructor(options = {}) {
+        // Configuration
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.runEndpoint = options.runEndpoint || '/api/v1/workflows/{workflowId}/run';
+        this.streamEndpoint = options.streamEndpoint || '/api/v1/workflows/{workflowId}/run/stream';
+        this.agentRunEndpoint = options.agentRunEndpoint || '/api/v1/workflows/{workflowId}/agents/{agentName}/run';
+        this.agentsEndpoint = options.agentsEndpoint || '/api/v1/custom-workflows/agents/{workflowId}';
+        this.timeout = options.timeout || 300000; // Multi-agent runs can take minutes
+    }
+
+    /**
+     * Build the run URL for a workflow
+     */
+    buildRunUrl(workflowId) {
+        return `${this.baseUrl}${this.runEndpoint.replace('{workflowId}', encodeURIComponent(workflowId))}`;
+    }
+
+    /**
+     * Build the streaming run URL for a workflow
+     */
+    buildStreamUrl(workflowId) {
+        return `${this.baseUrl}${this.streamEndpoint.replace('{workflowId}', encodeURIComponent(workflowId))}`;
+    }
+
+    /**
+     * Build the single-agent run URL for an agent of a workflow
+     */
+    buildAgentRunUrl(workflowId, agentName) {
+        return `${this.baseUrl}${this.agentRunEndpoint
+            .replace('{workflowId}', encodeURIComponent(workflowId))
+            .replace('{agentName}', encodeURIComponent(agentName))}`;
+    }
+
+    /**
+     * Build the request body sent to the run endpoint
+     * agentOverrides: { agentName: { model, temperature, max_tokens, top_p, seed } }, sent only when set
+     */
+    buildRunRequest(inputData, revisionId, agentOverrides = {}) {
+        // Strip client-side metadata keys (_workflow, _timestamp, ...) from the payload
+        const inputs = {};
+        Object.entries(inputData || {}).forEach(([key, value]) => {
+            if (!key.startsWith('_')) {
+                inputs[key] = value;
+            }
+        });
+
+        const request = {
+            revision_id: revisionId,
+            inputs
+        };
+        if (Object.keys(agentOverrides || {}).length > 0) {
+            request.agent_overrides = agentOverrides;
+        }
+        return request;
+    }
+
+    /**
+     * Run a workflow and return mapped evaluation results
+     */
+    async runWorkflow(workflowId, inputData, revisionId, agents = [], { agentOverrides = {} } = {}) {
+        if (!workflowId) {
+            throw new Error('No workflow selected');
+        }
+        if (!revisionId) {
+            throw new Error('No prompt version selected');
+        }
+
+        const url = this.buildRunUrl(workflowId);
+        const requestBody = this.buildRunRequest(inputData, revisionId, agentOverrides);
+        console.log('EvaluationRunner: POST', url, requestBody);
+
+        const startedAt = performance.now();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(requestBody),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        const elapsedMs = Math.round(performance.now() - startedAt);
+        console.log('EvaluationRunner: run response', data);
+
+        return this.mapRunResponse(data, agents, elapsedMs);
+    }
+
+    /**
+     * Load a workflow's agents and the hand-offs between them
+     * Returns { agents, edges } - edges is null when the backend does not report them
+     */
+    async loadWorkflowAgents(workflowId) {
+        const url = `${this.baseUrl}${this.agentsEndpoint.replace('{workflowId}', encodeURIComponent(workflowId))}`;
+        const response = await fetch(url, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return {
+            agents: data.agents || [],
+            edges: data.edges || data.flow || null
+        };
+    }
+
+    /**
+     * Run one agent in isolation
+     * upstreamOutputs: { agentName: output } stands in for the agents that normally run before it
+     * Resolves with the agent's mapped agentResults entry
+     */
+    async runAgent(workflowId, agentName, { inputs = {}, upstreamOutputs = {}, revisionId = null, agentOverrides = {} } = {}, agents = []) {
+        if (!workflowId) {
+            throw new Error('No workflow selected');
+        }
+        if (!agentName) {
+            throw new Error('No agent selected');
+        }
+        if (!revisionId) {
+            throw new Error('No prompt version selected');
+        }
+
+        const url = this.buildAgentRunUrl(workflowId, agentName);
+        const requestBody = {
+            ...this.buildRunRequest(inputs, revisionId, agentOverrides),
+            upstream_outputs: upstreamOutputs
+        };
+        console.log('EvaluationRunner: POST (agent)', url, requestBody);
+
+        const startedAt = performance.now();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(requestBody),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        const elapsedMs = Math.round(performance.now() - startedAt);
+        console.log('EvaluationRunner: agent run response', data);
+
+        const result = this.mapAgentResult({ agent_name: agentName, ...(data.agent_result || data.result || data) }, agents);
+        result.executionTime = result.executionTime || elapsedMs;
+        return result;
+    }
+
+    /**
+     * Outputs of the given agents in a results object: { agentName: output }
+     * Agents missing from the results are left out
+     */
+    getAgentOutputs(results, agentNames) {
+        const outputs = {};
+        (results?.agentResults || []).forEach(agentResult => {
+            if (agentNames.includes(agentResult.agentName)) {
+                outputs[agentResult.agentName] = agentResult.output;
+            }
+        });
+        return outputs;
+    }
+
+    /**
+     * Run a workflow with streamed progress events (SSE or NDJSON)
+     * onEvent receives normalized events: agent_started, token_delta, agent_finished, run_finished, error
+     * Pass a (reactive) results object from createPendingResults() to have it filled in live
+     * Resolves with the final mapped results
+     */
+    async streamWorkflow(workflowId, inputData, revisionId, agents = [], { results = null, onEvent = () => {}, agentOverrides = {} } = {}) {
+        if (!workflowId) {
+            throw new Error('No workflow selected');
+        }
+        if (!revisionId) {
+            throw new Error('No prompt version selected');
+        }
+
+        const url = this.buildStreamUrl(workflowId);
+        const requestBody = this.buildRunRequest(inputData, revisionId, agentOverrides);
+        console.log('EvaluationRunner: POST (stream)', url, requestBody);
+
+        const startedAt = performance.now();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream, application/x-ndjson, application/json'
+            },
+            body: JSON.stringify(requestBody),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+
+        // Backend answered without streaming - treat it as a regular run response
+        if (contentType.includes('application/json')) {
+            const data = await response.json();
+            const mapped = this.mapRunResponse(data, agents, Math.round(performance.now() - startedAt));
+            // Callers may hold the results object they passed in (e.g. for live progress) - fill it in place
+            return results ? Object.assign(results, mapped) : mapped;
+        }
+
+        results = results || this.createPendingResults(agents);
+        const isSse = contentType.includes('text/event-stream');
+        const handleEvent = (event) => {
+            this.applyRunEvent(results, event);
+            onEvent(event);
+        };
+
+        await this.readStream(response.body, isSse, handleEvent);
+
+        if (!results.totalTime) {
+            results.totalTime = Math.round(performance.now() - startedAt);
+        }
+        return results;
+    }
+
+    /**
+     * Read a streamed response body and emit parsed events
+     */
+    async readStream(body, isSse, handleEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+            // SSE events are separated by a blank line, NDJSON records by a newline
+            const separator = isSse ? '\n\n' : '\n';
+            let boundary = buffer.indexOf(separator);
+            while (boundary !== -1) {
+                const chunk = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + separator.length);
+                const event = isSse ? this.parseSseChunk(chunk) : this.parseNdjsonLine(chunk);
+                if (event) {
+                    handleEvent(event);
+                }
+                boundary = buffer.indexOf(separator);
+            }
+        }
+
+        // Flush a trailing multi-byte character, then a trailing record without a final separator
+        buffer += decoder.decode().replace(/\r\n/g, '\n');
+        const trailing = isSse ? this.parseSseChunk(buffer) : this.parseNdjsonLine(buffer);
+        if (trailing) {
+            handleEvent(trailing);
+        }
+    }
+
+    /**
+     * Parse one SSE event block ("event: ..." / "data: ..." lines)
+     */
+    parseSseChunk(chunk) {
+        let eventName = null;
+        const dataLines = [];
+
+        chunk.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                eventName = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trimStart());
+            }
+        });
+
+        if (dataLines.length === 0) {
+            return null;
+        }
+
+        return this.normalizeEvent(dataLines.join('\n'), eventName);
+    }
+
+    /**
+     * Parse one NDJSON line
+     */
+    parseNdjsonLine(line) {
+        if (!line.trim()) {
+            return null;
+        }
+        return this.normalizeEvent(line, null);
+    }
+
+    /**
+     * Normalize a raw event payload into { type, agentName, ... }
+     */
+    normalizeEvent(rawData, eventName) {
+        let payload;
+        try {
+            payload = JSON.parse(rawData);
+        } catch (error) {
+            console.warn('EvaluationRunner: skipping unparseable stream event', rawData);
+            return null;
+        }
+
+        const type = (payload.type || payload.event || eventName || '').replace(/-/g, '_');
+        return {
+            ...payload,
+            type,
+            agentName: payload.agent_name || payload.agent || null
+        };
+    }
+
+    /**
+     * Results skeleton shown while a streamed run is in progress
+     */
+    createPendingResults(agents = []) {
+        return {
+            runId: null,
+            revisionId: null,
+            workflowOutput: '',
+            agentResults: agents.map(agent => ({
+                agentName: agent.agent_name,
+                displayName: agent.agent_display_name || agent.agent_name,
+                tokensUsed: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                executionTime: 0,
+                model: agent.agent_model_name || 'unknown',
+                status: 'pending',
+                output: '',
+                expanded: false
+            })),
+            totalTokens: 0,
+            totalTime: 0,
+            demo: false
+        };
+    }
+
+    /**
+     * Apply a normalized stream event to a results object
+     * Returns the index of the affected agent (or -1)
+     */
+    applyRunEvent(results, event) {
+        let index = -1;
+        if (event.agentName) {
+            index = results.agentResults.findIndex(result => result.agentName === event.agentName);
+            if (index === -1) {
+                // Agent not declared up-front - add it in arrival order
+                results.agentResults.push(this.createPendingResults([{ agent_name: event.agentName }]).agentResults[0]);
+                index = results.agentResults.length - 1;
+            }
+        }
+        const agentResult = index > -1 ? results.agentResults[index] : null;
+        const agentEvents = ['agent_started', 'token_delta', 'agent_finished'];
+
+        if (agentEvents.includes(event.type) && !agentResult) {
+            console.warn('EvaluationRunner: agent event without agent_name', event);
+            return -1;
+        }
+
+        switch (event.type) {
+            case 'agent_started':
+                agentResult.status = 'running';
+                if (event.model) {
+                    agentResult.model = event.model;
+                }
+                break;
+            case 'token_delta':
+                agentResult.status = 'running';
+                agentResult.output += event.delta || event.content || '';
+                break;
+            case 'agent_finished': {
+                const finished = this.mapAgentResult({ ...event, output: event.output ?? agentResult.output }, []);
+                Object.assign(agentResult, {
+                    ...finished,
+                    displayName: agentResult.displayName,
+                    model: finished.model === 'unknown' ? agentResult.model : finished.model,
+                    status: event.status || 'success',
+                    expanded: agentResult.expanded
+                });
+                break;
+            }
+            case 'run_finished':
+                results.runId = event.run_id || results.runId;
+                results.revisionId = event.revision_id || results.revisionId;
+                results.workflowOutput = this.stringifyOutput(event.workflow_output ?? event.output ?? results.workflowOutput);
+                results.totalTime = Math.round(event.latency_ms ?? event.execution_time_ms ?? 0);
+                break;
+            case 'error':
+                if (agentResult) {
+                    agentResult.status = 'error';
+                }
+                throw new Error(event.message || event.error || 'Workflow run failed');
+            default:
+                console.warn('EvaluationRunner: unknown stream event type', event.type);
+        }
+
+        results.totalTokens = results.agentResults.reduce((sum, result) => sum + result.tokensUsed, 0);
+        return index;
+    }
+
+    /**
+     * Map a backend run response into { workflowOutput, agentResults, ... }
+     */
+    mapRunResponse(data, agents = [], elapsedMs = 0) {
+        const rawAgents = data.agent_results || data.agents || [];
+        const agentResults = rawAgents.map(rawAgent => this.mapAgentResult(rawAgent, agents));
+
+        return {
+            runId: data.run_id || data.id || null,
+            revisionId: data.revision_id || null,
+            workflowOutput: this.stringifyOutput(data.workflow_output ?? data.output ?? data.response ?? ''),
+            agentResults,
+            totalTokens: agentResults.reduce((sum, result) => sum + result.tokensUsed, 0),
+            totalTime: Math.round(data.latency_ms ?? data.execution_time_ms ?? elapsedMs),
+            demo: false
+        };
+    }
+
+    /**
+     * Map a single backend agent result into the agentResults entry shape
+     */
+    mapAgentResult(rawAgent, agents = []) {
+        const agentName = rawAgent.agent_name || rawAgent.name;
+        const agentConfig = agents.find(agent => agent.agent_name === agentName) || {};
+        const usage = rawAgent.token_usage || rawAgent.usage || {};
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+
+        return {
+            agentName,
+            displayName: rawAgent.agent_display_name || agentConfig.agent_display_name || agentName,
+            tokensUsed: usage.total_tokens ?? (promptTokens + completionTokens),
+            promptTokens,
+            completionTokens,
+            executionTime: Math.round(rawAgent.latency_ms ?? rawAgent.execution_time_ms ?? 0),
+            model: rawAgent.model || rawAgent.agent_model_name || agentConfig.agent_model_name || 'unknown',
+            status: rawAgent.status || 'success',
+            output: this.stringifyOutput(rawAgent.output ?? rawAgent.response ?? ''),
+            expanded: false // For controlling the expand/collapse of agent output
+        };
+    }
+
+    /**
+     * Agent and workflow outputs may be structured; the results view renders text
+     */
+    stringifyOutput(output) {
+        if (typeof output === 'string') {
+            return output;
+        }
+        return JSON.stringify(output, null, 2);
+    }
+}
+
+// Export for use in other modules
+window.EvaluationRunner = EvaluationRunner;
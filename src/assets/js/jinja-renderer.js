@@ -0,0 +1,1291 @@
+/**
+ * Jinja Renderer
+ * Client-side renderer for previewing .jinja prompt files with sample variables
+ * Covers the template features prompts use: expressions, filters, tests, if/for/set/with,
+ * macros, filter blocks, includes and whitespace control. The backend renderer stays authoritative.
+ * Its tokenizer and parser are also what the editor checks in jinja-template.js analyze.
+ */
+
+// Control-flow signals for {% break %} and {% continue %}
+const LOOP_BREAK = { signal: 'break' };
+const LOOP_CONTINUE = { signal: 'continue' };
+
+// Attribute names templates may never read or write (they lead to constructors and prototypes)
+const BLOCKED_ATTRIBUTES = new Set(['constructor', '__proto__', 'prototype']);
+
+class JinjaRenderer {
+    constructor() {
+        this.maxIncludeDepth = 10;
+        // Preview limits, so a template cannot freeze the page
+        this.maxRangeSize = 10000;
+        this.maxLoopIterations = 100000; // Per render, across every loop
+        this.maxTextLength = 1000000; // Longest string padding and repetition may build
+
+        // Functions templates may call: globals, macros, loop.cycle and the dict/string methods
+        // Anything else reached through a variable or attribute is refused
+        this.callables = new WeakSet();
+        // Arrays that print as Python tuples or dict views rather than lists: array -> 'tuple' | 'dict_items' | ...
+        this.pythonTypes = new WeakMap();
+
+        this.filters = {
+            abs: value => Math.abs(value),
+            capitalize: value => { const text = this.toText(value); return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase(); },
+            center: (value, width = 80) => { const text = this.toText(value); const pad = Math.max(0, this.checkTextLength(width) - text.length); return ' '.repeat(Math.floor(pad / 2)) + text + ' '.repeat(Math.ceil(pad / 2)); },
+            count: value => this.lengthOf(value),
+            default: (value, fallback = '', boolean = false) => ((value === undefined || (boolean && !this.isTruthy(value))) ? fallback : value),
+            dictsort: value => this.toItems(value).sort(([a], [b]) => String(a).localeCompare(String(b))),
+            escape: value => this.toText(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&#34;').replace(/'/g, '&#39;'),
+            first: value => (typeof value === 'string' ? value[0] : this.toList(value)[0]),
+            float: (value, fallback = 0.0) => { const number = parseFloat(value); return Number.isNaN(number) ? fallback : number; },
+            format: (value, ...args) => {
+                const kwargs = this.takeKwargs(args);
+                return this.formatPercent(this.toText(value), Object.keys(kwargs).length ? kwargs : args);
+            },
+            indent: (value, width = 4, first = false) => {
+                const pad = typeof width === 'string' ? width : ' '.repeat(this.checkTextLength(width));
+                return this.toText(value).split('\n').map((line, index) => ((index > 0 || first) && line ? pad + line : line)).join('\n');
+            },
+            int: (value, fallback = 0) => { const number = parseInt(value, 10); return Number.isNaN(number) ? fallback : number; },
+            items: value => this.toItems(value),
+            join: (value, separator = '', attribute = null) => this.toList(value).map(item => this.toText(attribute ? this.getAttribute(item, attribute) : item)).join(separator),
+            last: value => { const list = typeof value === 'string' ? [...value] : this.toList(value); return list[list.length - 1]; },
+            length: value => this.lengthOf(value),
+            list: value => (typeof value === 'string' ? [...value] : this.toList(value)),
+            lower: value => this.toText(value).toLowerCase(),
+            map: (value, ...args) => {
+                const kwargs = this.takeKwargs(args);
+                if (kwargs.attribute) {
+                    return this.toList(value).map(item => this.getAttribute(item, kwargs.attribute) ?? kwargs.default);
+                }
+                return this.toList(value).map(item => this.applyFilter(args[0], item, args.slice(1)));
+            },
+            max: value => this.toList(value).reduce((max, item) => (max === undefined || item > max ? item : max), undefined),
+            min: value => this.toList(value).reduce((min, item) => (min === undefined || item < min ? item : min), undefined),
+            pprint: value => JSON.stringify(value, null, 2),
+            reject: (value, test, ...args) => this.toList(value).filter(item => !this.applyTest(test || 'truthy', item, args)),
+            rejectattr: (value, attribute, test, ...args) => this.toList(value).filter(item => !this.applyTest(test || 'truthy', this.getAttribute(item, attribute), args)),
+            replace: (value, old, replacement, count = null) => {
+                let remaining = count === null ? Infinity : count;
+                return this.toText(value).split(old).reduce((text, part, index) => (index === 0 ? part : text + (remaining-- > 0 ? replacement : old) + part), '');
+            },
+            reverse: value => (typeof value === 'string' ? [...value].reverse().join('') : [...this.toList(value)].reverse()),
+            round: (value, precision = 0, method = 'common') => {
+                const factor = Math.pow(10, precision);
+                const round = { common: Math.round, ceil: Math.ceil, floor: Math.floor }[method] || Math.round;
+                return round(value * factor) / factor;
+            },
+            safe: value => value,
+            select: (value, test, ...args) => this.toList(value).filter(item => this.applyTest(test || 'truthy', item, args)),
+            selectattr: (value, attribute, test, ...args) => this.toList(value).filter(item => this.applyTest(test || 'truthy', this.getAttribute(item, attribute), args)),
+            sort: (value, ...args) => {
+                const kwargs = this.takeKwargs(args);
+                const reverse = kwargs.reverse ?? args[0] ?? false;
+                const key = item => (kwargs.attribute ? this.getAttribute(item, kwargs.attribute) : item);
+                const sorted = [...this.toList(value)].sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0));
+                return reverse ? sorted.reverse() : sorted;
+            },
+            string: value => this.toText(value),
+            striptags: value => this.toText(value).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim(),
+            sum: (value, ...args) => {
+                const kwargs = this.takeKwargs(args);
+                return this.toList(value).reduce((total, item) => total + (kwargs.attribute ? this.getAttribute(item, kwargs.attribute) : item), kwargs.start ?? 0);
+            },
+            title: value => this.toText(value).replace(/\w\S*/g, word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()),
+            tojson: (value, indent = null) => this.toJson(value, indent),
+            trim: value => this.toText(value).trim(),
+            truncate: (value, length = 255, killwords = false, end = '...') => {
+                const text = this.toText(value);
+                if (text.length <= length) return text;
+                const cut = text.slice(0, length - end.length);
+                return (killwords ? cut : cut.replace(/\s+\S*$/, '')) + end;
+            },
+            unique: value => [...new Set(this.toList(value))],
+            upper: value => this.toText(value).toUpperCase(),
+            urlencode: value => encodeURIComponent(this.toText(value)),
+            wordcount: value => (this.toText(value).match(/\w+/g) || []).length
+        };
+        this.filters.d = this.filters.default;
+        this.filters.e = this.filters.escape;
+
+        this.tests = {
+            defined: value => value !== undefined,
+            undefined: value => value === undefined,
+            none: value => value === null,
+            truthy: value => this.isTruthy(value),
+            true: value => value === true,
+            false: value => value === false,
+            string: value => typeof value === 'string',
+            number: value => typeof value === 'number',
+            integer: value => Number.isInteger(value),
+            float: value => typeof value === 'number' && !Number.isInteger(value),
+            boolean: value => typeof value === 'boolean',
+            mapping: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+            sequence: value => Array.isArray(value) || typeof value === 'string',
+            iterable: value => Array.isArray(value) || typeof value === 'string' || (value !== null && typeof value === 'object'),
+            callable: value => typeof value === 'function',
+            even: value => value % 2 === 0,
+            odd: value => value % 2 !== 0,
+            divisibleby: (value, number) => value % number === 0,
+            lower: value => typeof value === 'string' && value === value.toLowerCase(),
+            upper: value => typeof value === 'string' && value === value.toUpperCase(),
+            in: (value, container) => this.contains(container, value),
+            eq: (value, other) => this.equals(value, other),
+            ne: (value, other) => !this.equals(value, other),
+            gt: (value, other) => value > other,
+            ge: (value, other) => value >= other,
+            lt: (value, other) => value < other,
+            le: (value, other) => value <= other,
+            sameas: (value, other) => value === other
+        };
+        this.tests['=='] = this.tests.eq;
+        this.tests['!='] = this.tests.ne;
+        this.tests.equalto = this.tests.eq;
+
+        this.globals = {
+            range: (start, stop, step = 1) => {
+                if (stop === undefined) {
+                    stop = start;
+                    start = 0;
+                }
+                if (![start, stop, step].every(Number.isInteger)) {
+                    throw new Error('range() arguments must be integers');
+                }
+                if (step === 0) {
+                    throw new Error('range() step must not be zero');
+                }
+                const size = Math.max(0, Math.ceil((stop - start) / step));
+                if (size > this.maxRangeSize) {
+                    throw new Error(`range() of ${size} items is larger than the preview limit of ${this.maxRangeSize}`);
+                }
+                return Array.from({ length: size }, (item, index) => start + index * step);
+            },
+            dict: (...args) => ({ ...this.takeKwargs(args) }),
+            namespace: (...args) => ({ ...this.takeKwargs(args) })
+        };
+        Object.values(this.globals).forEach(global => this.callables.add(global));
+    }
+
+    /**
+     * Mark a function as callable from templates and return it
+     */
+    callable(fn) {
+        this.callables.add(fn);
+        return fn;
+    }
+
+    /**
+     * Render a template with variables
+     * options.loadTemplate(name) returns the content of an included template (or null)
+     */
+    render(template, variables = {}, options = {}) {
+        const nodes = this.parse(this.tokenize(template || ''));
+        const scope = Object.assign(Object.create(null), this.globals, variables);
+        return this.renderNodes(nodes, scope, {
+            loadTemplate: options.loadTemplate || (() => null),
+            depth: 0,
+            budget: { iterations: 0 } // Shared with included templates
+        });
+    }
+
+    /* ----------------------------------------------------------------
+     * Template tokenizing and parsing
+     * ---------------------------------------------------------------- */
+
+    /**
+     * Split a template into text, output and statement tokens, applying whitespace control
+     */
+    tokenize(template) {
+        const tokens = [];
+        const tagPattern = /\{\{(-?)([\s\S]*?)(-?)\}\}|\{%(-?)([\s\S]*?)(-?)%\}|\{#(-?)[\s\S]*?(-?)#\}/g;
+        const lineOf = index => template.slice(0, index).split('\n').length;
+        let lastIndex = 0;
+        let trimNext = false;
+        let match;
+
+        const pushText = (text, start, trimEnd, raw = false) => {
+            let value = trimNext ? text.replace(/^\s+/, '') : text;
+            if (trimEnd) value = value.replace(/\s+$/, '');
+            if (value) tokens.push({ type: 'text', value, line: lineOf(start + text.indexOf(value)), raw });
+        };
+
+        while ((match = tagPattern.exec(template)) !== null) {
+            const trimBefore = (match[1] || match[4] || match[7]) === '-';
+            pushText(template.slice(lastIndex, match.index), lastIndex, trimBefore);
+            trimNext = (match[3] || match[6] || match[8]) === '-';
+            lastIndex = tagPattern.lastIndex;
+            const line = lineOf(match.index);
+
+            if (match[2] !== undefined) {
+                tokens.push({ type: 'output', expression: match[2].trim(), line });
+            } else if (match[5] !== undefined) {
+                const statement = match[5].trim();
+                if (statement === 'raw') {
+                    // Everything up to {% endraw %} is literal text
+                    const endPattern = /\{%-?\s*endraw\s*(-?)%\}/g;
+                    endPattern.lastIndex = lastIndex;
+                    const end = endPattern.exec(template);
+                    if (!end) {
+                        throw new Error(`Line ${line}: {% raw %} is never closed`);
+                    }
+                    pushText(template.slice(lastIndex, end.index), lastIndex, end[0].startsWith('{%-'), true);
+                    trimNext = end[1] === '-';
+                    lastIndex = tagPattern.lastIndex = endPattern.lastIndex;
+                } else {
+                    tokens.push({ type: 'statement', statement, line });
+                }
+            }
+        }
+
+        const rest = template.slice(lastIndex);
+        if (/\{\{|\{%/.test(rest)) {
+            throw new Error(`Line ${lineOf(lastIndex + rest.search(/\{\{|\{%/))}: unclosed tag`);
+        }
+        pushText(rest, lastIndex, false);
+        return tokens;
+    }
+
+    /**
+     * Build a node tree from tokens
+     */
+    parse(tokens) {
+        const state = { tokens, index: 0 };
+        const { nodes, endToken } = this.parseNodes(state, []);
+        if (endToken) {
+            throw new Error(`Line ${endToken.line}: unexpected {% ${endToken.statement} %}`);
+        }
+        return nodes;
+    }
+
+    /**
+     * Parse nodes until one of endKeywords; returns { nodes, endToken }
+     */
+    parseNodes(state, endKeywords) {
+        const nodes = [];
+
+        while (state.index < state.tokens.length) {
+            const token = state.tokens[state.index++];
+
+            if (token.type === 'text') {
+                nodes.push({ type: 'text', value: token.value });
+                continue;
+            }
+            if (token.type === 'output') {
+                nodes.push({ type: 'output', expression: this.parseExpression(token.expression, token.line), line: token.line });
+                continue;
+            }
+
+            const keyword = (token.statement.match(/^\w+/) || [''])[0];
+            const rest = token.statement.slice(keyword.length).trim();
+            if (endKeywords.includes(keyword)) {
+                return { nodes, endToken: { ...token, keyword, rest } };
+            }
+            nodes.push(this.parseStatement(state, token, keyword, rest));
+        }
+
+        return { nodes, endToken: null };
+    }
+
+    /**
+     * Parse one {% statement %} (and its body for block statements)
+     */
+    parseStatement(state, token, keyword, rest) {
+        const line = token.line;
+        const body = (endKeywords) => {
+            const parsed = this.parseNodes(state, endKeywords);
+            if (!parsed.endToken) {
+                throw new Error(`Line ${line}: {% ${keyword} %} is never closed`);
+            }
+            return parsed;
+        };
+
+        switch (keyword) {
+            case 'if': {
+                const branches = [];
+                let condition = this.parseExpression(rest, line);
+                let conditionLine = line;
+                let elseNodes = [];
+                for (;;) {
+                    const parsed = body(['elif', 'else', 'endif']);
+                    if (condition) {
+                        branches.push({ condition, nodes: parsed.nodes, line: conditionLine });
+                    } else {
+                        elseNodes = parsed.nodes;
+                    }
+                    if (parsed.endToken.keyword === 'endif') break;
+                    condition = parsed.endToken.keyword === 'elif' ? this.parseExpression(parsed.endToken.rest, parsed.endToken.line) : null;
+                    conditionLine = parsed.endToken.line;
+                }
+                return { type: 'if', branches, elseNodes, line };
+            }
+            case 'for': {
+                const forMatch = rest.match(/^([\w\s,()]+?)\s+in\s+([\s\S]+)$/);
+                if (!forMatch) {
+                    throw new Error(`Line ${line}: invalid for loop`);
+                }
+                const parser = this.createExpressionParser(forMatch[2].replace(/\s+recursive\s*$/, ''), line);
+                const iterable = parser.parseExpression(false);
+                const filter = parser.accept('name', 'if') ? parser.parseExpression(false) : null;
+                parser.expectEnd();
+                state.loopDepth = (state.loopDepth || 0) + 1;
+                const parsed = body(['else', 'endfor']);
+                state.loopDepth--;
+                const elseNodes = parsed.endToken.keyword === 'else' ? body(['endfor']).nodes : [];
+                return {
+                    type: 'for',
+                    targets: forMatch[1].replace(/[()]/g, '').split(',').map(name => name.trim()),
+                    iterable,
+                    filter,
+                    nodes: parsed.nodes,
+                    elseNodes,
+                    line
+                };
+            }
+            case 'set': {
+                const setMatch = rest.match(/^([\w\s,.]+?)\s*=\s*([\s\S]+)$/);
+                if (setMatch) {
+                    return { type: 'set', targets: setMatch[1].split(',').map(name => name.trim()), expression: this.parseExpression(setMatch[2], line), line };
+                }
+                const [name, ...filterParts] = rest.split('|');
+                return {
+                    type: 'setBlock',
+                    name: name.trim(),
+                    filter: filterParts.length ? this.parseExpression(`__body__|${filterParts.join('|')}`, line) : null,
+                    nodes: body(['endset']).nodes,
+                    line
+                };
+            }
+            case 'with': {
+                const assignments = rest ? this.splitTopLevel(rest).map(assignment => {
+                    const [name, ...value] = assignment.split('=');
+                    return { name: name.trim(), expression: this.parseExpression(value.join('='), line) };
+                }) : [];
+                return { type: 'with', assignments, nodes: body(['endwith']).nodes, line };
+            }
+            case 'macro': {
+                const macroMatch = rest.match(/^(\w+)\s*\(([\s\S]*)\)$/);
+                if (!macroMatch) {
+                    throw new Error(`Line ${line}: invalid macro definition`);
+                }
+                return { type: 'macro', name: macroMatch[1], params: this.parseParams(macroMatch[2], line), nodes: body(['endmacro']).nodes, line };
+            }
+            case 'call': {
+                // {% call(args) macro(...) %} passes arguments to caller()
+                const callMatch = rest.match(/^\(([^)]*)\)\s*([\s\S]+)$/);
+                return {
+                    type: 'call',
+                    params: callMatch ? this.parseParams(callMatch[1], line) : [],
+                    call: this.parseExpression(callMatch ? callMatch[2] : rest, line),
+                    nodes: body(['endcall']).nodes,
+                    line
+                };
+            }
+            case 'filter':
+                return { type: 'filterBlock', filter: this.parseExpression(`__body__|${rest}`, line), nodes: body(['endfilter']).nodes, line };
+            case 'block':
+                return { type: 'group', tag: 'block', name: rest.split(/\s/)[0], nodes: body(['endblock']).nodes, line };
+            case 'autoescape':
+                return { type: 'group', tag: 'autoescape', nodes: body(['endautoescape']).nodes, line };
+            case 'include': {
+                const ignoreMissing = /\s+ignore\s+missing\b/.test(rest);
+                return {
+                    type: 'include',
+                    template: this.parseExpression(rest.replace(/\s+ignore\s+missing\b/, '').replace(/\s+(with|without)\s+context\s*$/, ''), line),
+                    ignoreMissing,
+                    line
+                };
+            }
+            case 'extends':
+                return { type: 'extends', template: this.parseExpression(rest, line), line };
+            case 'import': {
+                const importMatch = rest.match(/^([\s\S]+?)\s+as\s+(\w+)(?:\s+(?:with|without)\s+context)?$/);
+                if (!importMatch) {
+                    throw new Error(`Line ${line}: invalid import (expected "import 'file' as name")`);
+                }
+                return { type: 'import', template: this.parseExpression(importMatch[1], line), alias: importMatch[2], line };
+            }
+            case 'from': {
+                const fromMatch = rest.match(/^([\s\S]+?)\s+import\s+([\s\S]+?)(?:\s+(?:with|without)\s+context)?$/);
+                if (!fromMatch) {
+                    throw new Error(`Line ${line}: invalid import (expected "from 'file' import name")`);
+                }
+                return {
+                    type: 'fromImport',
+                    template: this.parseExpression(fromMatch[1], line),
+                    names: fromMatch[2].split(',').map(name => name.trim().split(/\s+as\s+/)).map(([name, alias]) => ({ name, alias: alias || name })),
+                    line
+                };
+            }
+            case 'do':
+                return { type: 'do', expression: this.parseExpression(rest, line), line };
+            case 'break':
+            case 'continue':
+                if (!state.loopDepth) {
+                    throw new Error(`Line ${line}: {% ${keyword} %} outside of {% for %}`);
+                }
+                return { type: keyword, line };
+            default:
+                if (['elif', 'else'].includes(keyword) || keyword.startsWith('end')) {
+                    throw new Error(`Line ${line}: unexpected {% ${keyword} %}`);
+                }
+                throw new Error(`Line ${line}: unknown tag {% ${keyword || token.statement} %}`);
+        }
+    }
+
+    /**
+     * Parse macro and call parameters: "a, b=1" -> [{ name, defaultValue }]
+     */
+    parseParams(source, line) {
+        return this.splitTopLevel(source).filter(Boolean).map(param => {
+            const [name, ...defaultValue] = param.split('=');
+            return { name: name.trim(), defaultValue: defaultValue.length ? this.parseExpression(defaultValue.join('='), line) : null };
+        });
+    }
+
+    /**
+     * Split on commas that are not inside brackets or strings
+     */
+    splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        parts.push(current.trim());
+        return parts;
+    }
+
+    /* ----------------------------------------------------------------
+     * Expression parsing
+     * ---------------------------------------------------------------- */
+
+    /**
+     * Parse a full expression string into an AST
+     */
+    parseExpression(source, line) {
+        const parser = this.createExpressionParser(source, line);
+        const expression = parser.parseExpression(true);
+        parser.expectEnd();
+        return expression;
+    }
+
+    /**
+     * Recursive-descent parser over expression tokens (Jinja operator precedence)
+     */
+    createExpressionParser(source, line) {
+        const tokens = this.tokenizeExpression(source, line);
+        let position = 0;
+        const fail = (message) => { throw new Error(`Line ${line}: ${message} in "${source.trim()}"`); };
+        const peek = (offset = 0) => tokens[position + offset] || { type: 'end', value: '' };
+        const accept = (type, value) => {
+            const token = peek();
+            if (token.type === type && (value === undefined || token.value === value)) {
+                position++;
+                return token;
+            }
+            return null;
+        };
+        const expect = (type, value) => accept(type, value) || fail(`expected "${value || type}"`);
+
+        const parser = {
+            accept,
+            expectEnd: () => { if (peek().type !== 'end') fail(`unexpected "${peek().value}"`); },
+
+            parseExpression(allowConditional) {
+                const value = parser.parseOr();
+                if (allowConditional && peek().type === 'name' && peek().value === 'if') {
+                    position++;
+                    const condition = parser.parseOr();
+                    const otherwise = accept('name', 'else') ? parser.parseExpression(true) : { type: 'literal', value: undefined };
+                    return { type: 'conditional', condition, value, otherwise };
+                }
+                return value;
+            },
+            parseOr() {
+                let left = parser.parseAnd();
+                while (accept('name', 'or')) left = { type: 'or', left, right: parser.parseAnd() };
+                return left;
+            },
+            parseAnd() {
+                let left = parser.parseNot();
+                while (accept('name', 'and')) left = { type: 'and', left, right: parser.parseNot() };
+                return left;
+            },
+            parseNot() {
+                if (peek().type === 'name' && peek().value === 'not' && !(peek(1).type === 'name' && peek(1).value === 'in')) {
+                    position++;
+                    return { type: 'not', operand: parser.parseNot() };
+                }
+                return parser.parseCompare();
+            },
+            parseCompare() {
+                let left = parser.parseConcat();
+                for (;;) {
+                    const token = peek();
+                    if (token.type === 'op' && ['==', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+                        position++;
+                        left = { type: 'binary', operator: token.value, left, right: parser.parseConcat() };
+                    } else if (accept('name', 'in')) {
+                        left = { type: 'binary', operator: 'in', left, right: parser.parseConcat() };
+                    } else if (token.type === 'name' && token.value === 'not' && peek(1).value === 'in') {
+                        position += 2;
+                        left = { type: 'not', operand: { type: 'binary', operator: 'in', left, right: parser.parseConcat() } };
+                    } else if (accept('name', 'is')) {
+                        const negated = Boolean(accept('name', 'not'));
+                        const testToken = accept('name') || accept('op', '==') || accept('op', '!=') || fail('expected a test name');
+                        let args = [];
+                        if (accept('op', '(')) {
+                            args = parser.parseArguments(')');
+                        } else if (!['end', 'op'].includes(peek().type) && !['and', 'or', 'else', 'if'].includes(peek().value)) {
+                            args = [parser.parseConcat()];
+                        }
+                        const test = { type: 'test', name: testToken.value, operand: left, args };
+                        left = negated ? { type: 'not', operand: test } : test;
+                    } else {
+                        return left;
+                    }
+                }
+            },
+            parseConcat() {
+                let left = parser.parseAdditive();
+                while (accept('op', '~')) left = { type: 'binary', operator: '~', left, right: parser.parseAdditive() };
+                return left;
+            },
+            parseAdditive() {
+                let left = parser.parseMultiplicative();
+                for (let token = peek(); token.type === 'op' && ['+', '-'].includes(token.value); token = peek()) {
+                    position++;
+                    left = { type: 'binary', operator: token.value, left, right: parser.parseMultiplicative() };
+                }
+                return left;
+            },
+            parseMultiplicative() {
+                let left = parser.parseUnary();
+                for (let token = peek(); token.type === 'op' && ['*', '/', '//', '%'].includes(token.value); token = peek()) {
+                    position++;
+                    left = { type: 'binary', operator: token.value, left, right: parser.parseUnary() };
+                }
+                return left;
+            },
+            parseUnary() {
+                if (accept('op', '-')) return { type: 'negate', operand: parser.parseUnary() };
+                if (accept('op', '+')) return parser.parseUnary();
+                return parser.parsePower();
+            },
+            parsePower() {
+                const left = parser.parseFiltered();
+                if (accept('op', '**')) return { type: 'binary', operator: '**', left, right: parser.parseUnary() };
+                return left;
+            },
+            parseFiltered() {
+                let value = parser.parsePostfix();
+                while (accept('op', '|')) {
+                    const name = expect('name').value;
+                    const args = accept('op', '(') ? parser.parseArguments(')') : [];
+                    value = { type: 'filter', name, operand: value, args };
+                }
+                return value;
+            },
+            parsePostfix() {
+                let value = parser.parsePrimary();
+                for (;;) {
+                    if (accept('op', '.')) {
+                        const attribute = accept('name') || accept('number') || fail('expected an attribute name');
+                        value = { type: 'attribute', object: value, key: { type: 'literal', value: attribute.value } };
+                    } else if (accept('op', '[')) {
+                        value = { type: 'attribute', object: value, key: parser.parseExpression(true) };
+                        expect('op', ']');
+                    } else if (accept('op', '(')) {
+                        value = { type: 'call', callee: value, args: parser.parseArguments(')') };
+                    } else {
+                        return value;
+                    }
+                }
+            },
+            parsePrimary() {
+                const token = peek();
+                position++;
+                if (token.type === 'string' || token.type === 'number') {
+                    let value = token.value;
+                    // Adjacent string literals are concatenated
+                    while (token.type === 'string' && peek().type === 'string') value += tokens[position++].value;
+                    return { type: 'literal', value };
+                }
+                if (token.type === 'name') {
+                    const literals = { true: true, True: true, false: false, False: false, none: null, None: null };
+                    if (Object.hasOwn(literals, token.value)) return { type: 'literal', value: literals[token.value] };
+                    return { type: 'name', name: token.value };
+                }
+                if (token.type === 'op' && token.value === '(') {
+                    const items = parser.parseArguments(')');
+                    return items.length === 1 && items[0].type !== 'kwarg' ? items[0] : { type: 'list', items, tuple: true };
+                }
+                if (token.type === 'op' && token.value === '[') {
+                    return { type: 'list', items: parser.parseArguments(']') };
+                }
+                if (token.type === 'op' && token.value === '{') {
+                    const entries = [];
+                    while (!accept('op', '}')) {
+                        const key = parser.parseExpression(true);
+                        expect('op', ':');
+                        entries.push({ key, value: parser.parseExpression(true) });
+                        if (!accept('op', ',')) {
+                            expect('op', '}');
+                            break;
+                        }
+                    }
+                    return { type: 'dict', entries };
+                }
+                return fail(token.type === 'end' ? 'unexpected end of expression' : `unexpected "${token.value}"`);
+            },
+            parseArguments(closing) {
+                const args = [];
+                while (!accept('op', closing)) {
+                    if (peek().type === 'name' && peek(1).type === 'op' && peek(1).value === '=') {
+                        const name = tokens[position].value;
+                        position += 2;
+                        args.push({ type: 'kwarg', name, value: parser.parseExpression(true) });
+                    } else {
+                        args.push(parser.parseExpression(true));
+                    }
+                    if (!accept('op', ',')) {
+                        expect('op', closing);
+                        break;
+                    }
+                }
+                return args;
+            }
+        };
+
+        return parser;
+    }
+
+    /**
+     * Split an expression into string, number, name and operator tokens
+     */
+    tokenizeExpression(source, line) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(\*\*|\/\/|==|!=|<=|>=|[-+*/%~|.,:()[\]{}<>=]))/y;
+        let match;
+
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            match = pattern.exec(source);
+            if (!match) {
+                if (!source.slice(start).trim()) break;
+                throw new Error(`Line ${line}: unexpected character "${source.slice(start).trim()[0]}" in "${source.trim()}"`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t' }[char] || char)) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'number', value: Number(match[2]) });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'name', value: match[3] });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'op', value: match[4] });
+            }
+        }
+        return tokens;
+    }
+
+    /* ----------------------------------------------------------------
+     * Evaluation
+     * ---------------------------------------------------------------- */
+
+    /**
+     * Render a list of nodes in a scope
+     */
+    renderNodes(nodes, scope, context) {
+        let output = '';
+
+        for (const node of nodes) {
+            try {
+                output += this.renderNode(node, scope, context);
+            } catch (signal) {
+                // Keep what was rendered before a {% break %} / {% continue %}
+                if (LOOP_BREAK.isPrototypeOf(signal) || LOOP_CONTINUE.isPrototypeOf(signal)) {
+                    signal.output = output + signal.output;
+                }
+                throw signal;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Render a single node
+     */
+    renderNode(node, scope, context) {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'output':
+                return this.toText(this.evaluate(node.expression, scope));
+            case 'if': {
+                const branch = node.branches.find(candidate => this.isTruthy(this.evaluate(candidate.condition, scope)));
+                return this.renderNodes(branch ? branch.nodes : node.elseNodes, scope, context);
+            }
+            case 'for':
+                return this.renderFor(node, scope, context);
+            case 'set': {
+                const value = this.evaluate(node.expression, scope);
+                const values = node.targets.length > 1 ? this.toList(value) : [value];
+                node.targets.forEach((target, index) => this.assign(scope, target, values[index]));
+                return '';
+            }
+            case 'setBlock': {
+                const rendered = this.renderNodes(node.nodes, Object.create(scope), context);
+                scope[node.name] = node.filter ? this.evaluate(node.filter, Object.assign(Object.create(scope), { __body__: rendered })) : rendered;
+                return '';
+            }
+            case 'with': {
+                const childScope = Object.create(scope);
+                node.assignments.forEach(assignment => { childScope[assignment.name] = this.evaluate(assignment.expression, scope); });
+                return this.renderNodes(node.nodes, childScope, context);
+            }
+            case 'macro':
+                scope[node.name] = this.createMacro(node, scope, context);
+                return '';
+            case 'filterBlock': {
+                const rendered = this.renderNodes(node.nodes, Object.create(scope), context);
+                return this.toText(this.evaluate(node.filter, Object.assign(Object.create(scope), { __body__: rendered })));
+            }
+            case 'group':
+                return this.renderNodes(node.nodes, scope, context);
+            case 'include':
+                return this.renderInclude(node, scope, context);
+            case 'extends':
+            case 'import':
+            case 'fromImport':
+            case 'call':
+                throw new Error(`Line ${node.line}: {% ${node.type === 'fromImport' ? 'from' : node.type} %} is not supported in the preview`);
+            case 'do':
+                this.evaluate(node.expression, scope);
+                return '';
+            case 'break':
+                throw Object.assign(Object.create(LOOP_BREAK), { output: '' });
+            case 'continue':
+                throw Object.assign(Object.create(LOOP_CONTINUE), { output: '' });
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render a for loop with the loop.* helper variables
+     */
+    renderFor(node, scope, context) {
+        const iterable = this.evaluate(node.iterable, scope);
+        let items = iterable !== null && typeof iterable === 'object' && !Array.isArray(iterable)
+            ? Object.keys(iterable)
+            : this.toList(typeof iterable === 'string' ? [...iterable] : iterable);
+
+        const bind = (childScope, item) => {
+            if (node.targets.length === 1) {
+                childScope[node.targets[0]] = item;
+            } else {
+                const values = this.toList(item);
+                node.targets.forEach((target, index) => { childScope[target] = values[index]; });
+            }
+        };
+
+        if (node.filter) {
+            items = items.filter(item => {
+                const childScope = Object.create(scope);
+                bind(childScope, item);
+                return this.isTruthy(this.evaluate(node.filter, childScope));
+            });
+        }
+        if (items.length === 0) {
+            return this.renderNodes(node.elseNodes, scope, context);
+        }
+
+        let output = '';
+        for (let index = 0; index < items.length; index++) {
+            if (++context.budget.iterations > this.maxLoopIterations) {
+                throw new Error(`Line ${node.line}: loops ran more than ${this.maxLoopIterations} iterations`);
+            }
+            const childScope = Object.create(scope);
+            bind(childScope, items[index]);
+            childScope.loop = {
+                index: index + 1,
+                index0: index,
+                revindex: items.length - index,
+                revindex0: items.length - index - 1,
+                first: index === 0,
+                last: index === items.length - 1,
+                length: items.length,
+                previtem: items[index - 1],
+                nextitem: items[index + 1],
+                cycle: this.callable((...values) => values[index % values.length])
+            };
+
+            try {
+                output += this.renderNodes(node.nodes, childScope, context);
+            } catch (signal) {
+                if (LOOP_BREAK.isPrototypeOf(signal)) {
+                    output += signal.output;
+                    break;
+                }
+                if (LOOP_CONTINUE.isPrototypeOf(signal)) {
+                    output += signal.output;
+                    continue;
+                }
+                throw signal;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Macros become functions that render their body with their own arguments
+     */
+    createMacro(node, scope, context) {
+        return this.callable((...args) => {
+            const kwargs = this.takeKwargs(args);
+            const macroScope = Object.create(scope);
+            node.params.forEach((param, index) => {
+                macroScope[param.name] = index < args.length
+                    ? args[index]
+                    : (Object.hasOwn(kwargs, param.name) ? kwargs[param.name] : (param.defaultValue ? this.evaluate(param.defaultValue, scope) : undefined));
+            });
+            macroScope.varargs = args.slice(node.params.length);
+            return this.renderNodes(node.nodes, macroScope, context);
+        });
+    }
+
+    /**
+     * Render an included template through options.loadTemplate
+     */
+    renderInclude(node, scope, context) {
+        const names = this.toList(this.evaluate(node.template, scope));
+        if (context.depth >= this.maxIncludeDepth) {
+            throw new Error(`Line ${node.line}: includes nested more than ${this.maxIncludeDepth} levels`);
+        }
+
+        for (const name of names) {
+            const content = context.loadTemplate(name);
+            if (content !== null && content !== undefined) {
+                const nodes = this.parse(this.tokenize(content));
+                return this.renderNodes(nodes, Object.create(scope), { ...context, depth: context.depth + 1 });
+            }
+        }
+        if (node.ignoreMissing) {
+            return '';
+        }
+        throw new Error(`Line ${node.line}: included template ${names.join(', ')} not found`);
+    }
+
+    /**
+     * Assign a set target (supports namespace attributes: {% set ns.total = ... %})
+     */
+    assign(scope, target, value) {
+        const [name, ...path] = target.split('.');
+        if (path.length === 0) {
+            scope[name] = value;
+            return;
+        }
+        const object = path.slice(0, -1).reduce((current, key) => this.getAttribute(current, key), scope[name]);
+        if (object === null || typeof object !== 'object') {
+            throw new Error(`Cannot assign ${target}: ${name} is not a namespace`);
+        }
+        object[this.checkAttribute(path[path.length - 1])] = value;
+    }
+
+    /**
+     * Evaluate an expression AST node
+     */
+    evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'name':
+                return this.lookupName(scope, node.name);
+            case 'list': {
+                const items = node.items.map(item => this.evaluate(item, scope));
+                return node.tuple ? this.asPythonType(items, 'tuple') : items;
+            }
+            case 'dict': {
+                const result = {};
+                node.entries.forEach(entry => { result[this.checkAttribute(this.evaluate(entry.key, scope))] = this.evaluate(entry.value, scope); });
+                return result;
+            }
+            case 'kwarg':
+                return { __kwarg__: true, name: node.name, value: this.evaluate(node.value, scope) };
+            case 'attribute':
+                return this.getAttribute(this.evaluate(node.object, scope), this.evaluate(node.key, scope));
+            case 'call': {
+                const callee = this.evaluate(node.callee, scope);
+                if (!this.callables.has(callee)) {
+                    throw new Error(`${this.describeNode(node.callee)} is not callable`);
+                }
+                return callee(...node.args.map(arg => this.evaluate(arg, scope)));
+            }
+            case 'filter':
+                return this.applyFilter(node.name, this.evaluate(node.operand, scope), node.args.map(arg => this.evaluate(arg, scope)));
+            case 'test':
+                return this.applyTest(node.name, this.evaluate(node.operand, scope), node.args.map(arg => this.evaluate(arg, scope)));
+            case 'not':
+                return !this.isTruthy(this.evaluate(node.operand, scope));
+            case 'and': {
+                const left = this.evaluate(node.left, scope);
+                return this.isTruthy(left) ? this.evaluate(node.right, scope) : left;
+            }
+            case 'or': {
+                const left = this.evaluate(node.left, scope);
+                return this.isTruthy(left) ? left : this.evaluate(node.right, scope);
+            }
+            case 'negate':
+                return -this.evaluate(node.operand, scope);
+            case 'conditional':
+                return this.isTruthy(this.evaluate(node.condition, scope))
+                    ? this.evaluate(node.value, scope)
+                    : this.evaluate(node.otherwise, scope);
+            case 'binary':
+                return this.applyOperator(node.operator, this.evaluate(node.left, scope), this.evaluate(node.right, scope));
+            default:
+                throw new Error(`Unknown expression node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Binary operators with Python semantics where they differ from JavaScript
+     */
+    applyOperator(operator, left, right) {
+        switch (operator) {
+            case '+':
+                if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right];
+                return left + right;
+            case '-': return left - right;
+            case '*':
+                if (typeof left === 'string' && typeof right === 'number') {
+                    this.checkTextLength(left.length * right);
+                    return left.repeat(Math.max(0, right));
+                }
+                return left * right;
+            case '/': return left / right;
+            case '//': return Math.floor(left / right);
+            case '%':
+                if (typeof left === 'string') return this.formatPercent(left, right);
+                return ((left % right) + right) % right;
+            case '**': return Math.pow(left, right);
+            case '~': return this.toText(left) + this.toText(right);
+            case '==': return this.equals(left, right);
+            case '!=': return !this.equals(left, right);
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case 'in': return this.contains(right, left);
+            default:
+                throw new Error(`Unknown operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Apply a filter by name
+     */
+    applyFilter(name, value, args) {
+        const filter = Object.hasOwn(this.filters, name) ? this.filters[name] : null;
+        if (!filter) {
+            throw new Error(`Unknown filter "${name}"`);
+        }
+        return filter(value, ...args);
+    }
+
+    /**
+     * Apply a test by name
+     */
+    applyTest(name, value, args) {
+        const test = Object.hasOwn(this.tests, name) ? this.tests[name] : null;
+        if (!test) {
+            throw new Error(`Unknown test "${name}"`);
+        }
+        return test(value, ...args);
+    }
+
+    /**
+     * Remove trailing keyword arguments from an argument list and return them as an object
+     */
+    takeKwargs(args) {
+        const kwargs = {};
+        while (args.length && args[args.length - 1]?.__kwarg__) {
+            const kwarg = args.pop();
+            kwargs[kwarg.name] = kwarg.value;
+        }
+        return kwargs;
+    }
+
+    /* ----------------------------------------------------------------
+     * Python-like value helpers
+     * ---------------------------------------------------------------- */
+
+    /**
+     * Read an attribute or item: own properties only, so templates never reach prototypes or constructors
+     */
+    getAttribute(object, key) {
+        if (object === null || object === undefined) {
+            return undefined;
+        }
+        this.checkAttribute(key);
+        if (Array.isArray(object) && typeof key === 'number' && key < 0) {
+            return object[object.length + key];
+        }
+        const value = Object.hasOwn(Object(object), key) ? object[key] : undefined;
+        // Dict methods templates commonly call: items(), keys(), values(), get()
+        if (value === undefined && typeof object === 'object' && !Array.isArray(object)) {
+            const methods = {
+                items: () => this.asPythonType(this.toItems(object), 'dict_items'),
+                keys: () => this.asPythonType(Object.keys(object), 'dict_keys'),
+                values: () => this.asPythonType(Object.values(object), 'dict_values'),
+                get: (name, fallback = null) => (Object.hasOwn(object, name) ? object[name] : fallback)
+            };
+            return Object.hasOwn(methods, key) ? this.callable(methods[key]) : undefined;
+        }
+        if (typeof object === 'string') {
+            const methods = {
+                upper: () => object.toUpperCase(),
+                lower: () => object.toLowerCase(),
+                strip: () => object.trim(),
+                split: (separator) => (separator === undefined ? object.trim().split(/\s+/) : object.split(separator)),
+                startswith: (prefix) => object.startsWith(prefix),
+                endswith: (suffix) => object.endsWith(suffix),
+                replace: (old, replacement) => object.split(old).join(replacement)
+            };
+            return Object.hasOwn(methods, key) ? this.callable(methods[key]) : value;
+        }
+        return value;
+    }
+
+    /**
+     * Look a variable up through the scope chain, own properties only
+     */
+    lookupName(scope, name) {
+        for (let current = scope; current; current = Object.getPrototypeOf(current)) {
+            if (Object.hasOwn(current, name)) {
+                return current[name];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Refuse attribute names that lead to constructors and prototypes
+     */
+    checkAttribute(key) {
+        if (BLOCKED_ATTRIBUTES.has(String(key))) {
+            throw new Error(`Access to "${key}" is not allowed in templates`);
+        }
+        return key;
+    }
+
+    /**
+     * Refuse building strings longer than the preview limit
+     */
+    checkTextLength(length) {
+        if (length > this.maxTextLength) {
+            throw new Error(`Text of ${length} characters is longer than the preview limit of ${this.maxTextLength}`);
+        }
+        return length;
+    }
+
+    /**
+     * Python %-formatting: "%s of %d" % (a, b), "%.2f" % value, "%(name)s" % mapping
+     */
+    formatPercent(format, values) {
+        const args = Array.isArray(values) ? values : [values];
+        let index = 0;
+        const text = format.replace(/%(?:\(([^)]*)\))?([-+ 0]*)(\d+)?(?:\.(\d+))?([sdifrxX%])/g, (match, name, flags, width, precision, conversion) => {
+            if (conversion === '%') {
+                return '%';
+            }
+            let value;
+            if (name !== undefined) {
+                value = this.getAttribute(values, name);
+            } else {
+                if (index >= args.length) {
+                    throw new Error('not enough arguments for format string');
+                }
+                value = args[index++];
+            }
+
+            let formatted;
+            if (conversion === 's' || conversion === 'r') {
+                formatted = conversion === 'r' ? this.toRepr(value) : this.toText(value);
+                if (precision !== undefined) formatted = formatted.slice(0, Number(precision));
+            } else {
+                const number = Number(value);
+                if (Number.isNaN(number)) {
+                    throw new Error(`%${conversion} format: a number is required, not ${this.toText(value)}`);
+                }
+                if (conversion === 'f') formatted = number.toFixed(precision === undefined ? 6 : Number(precision));
+                else if (conversion === 'x' || conversion === 'X') formatted = Math.trunc(number).toString(16);
+                else formatted = String(Math.trunc(number));
+                if (conversion === 'X') formatted = formatted.toUpperCase();
+                if (flags.includes('+') && number >= 0) formatted = '+' + formatted;
+                else if (flags.includes(' ') && number >= 0) formatted = ' ' + formatted;
+            }
+
+            const padWidth = this.checkTextLength(Number(width || 0));
+            if (flags.includes('-')) return formatted.padEnd(padWidth);
+            if (flags.includes('0') && conversion !== 's' && conversion !== 'r') {
+                const sign = /^[-+ ]/.test(formatted) ? formatted[0] : '';
+                return sign + formatted.slice(sign.length).padStart(padWidth - sign.length, '0');
+            }
+            return formatted.padStart(padWidth);
+        });
+        return text;
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        if (value !== null && typeof value === 'object') return Object.keys(value).length > 0;
+        return Boolean(value);
+    }
+
+    equals(left, right) {
+        if (left !== null && right !== null && typeof left === 'object' && typeof right === 'object') {
+            return JSON.stringify(left) === JSON.stringify(right);
+        }
+        return left === right;
+    }
+
+    contains(container, value) {
+        if (typeof container === 'string') return container.includes(this.toText(value));
+        if (Array.isArray(container)) return container.some(item => this.equals(item, value));
+        if (container !== null && typeof container === 'object') return Object.hasOwn(container, value);
+        return false;
+    }
+
+    lengthOf(value) {
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        return Object.keys(value).length;
+    }
+
+    toList(value) {
+        if (value === null || value === undefined) return [];
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'object') return Object.keys(value);
+        return [value];
+    }
+
+    /**
+     * A mapping's (key, value) pairs as tuples
+     */
+    toItems(value) {
+        return Object.entries(value || {}).map(pair => this.asPythonType(pair, 'tuple'));
+    }
+
+    /**
+     * Mark an array to print as a Python tuple or dict view
+     */
+    asPythonType(array, type) {
+        this.pythonTypes.set(array, type);
+        return array;
+    }
+
+    /**
+     * Convert a value to output text the way Python's str() does, so the preview matches what the agent receives
+     * (undefined renders as empty, like Jinja's default Undefined)
+     */
+    toText(value) {
+        if (value === undefined) return '';
+        if (typeof value === 'string') return value;
+        return this.toRepr(value);
+    }
+
+    /**
+     * JSON the way Jinja's tojson writes it: sorted keys, ", " / ": " separators, ASCII only and HTML-safe <, >, & and '
+     */
+    toJson(value, indent = null, level = 0) {
+        if (value === undefined || value === null) return 'null';
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return 'NaN';
+            if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+            return String(value);
+        }
+        if (typeof value === 'string') {
+            // Python's json.dumps escapes every non-ASCII character
+            return JSON.stringify(value)
+                .replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+                .replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/&/g, '\\u0026').replace(/'/g, '\\u0027');
+        }
+        if (typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+
+        const parts = Array.isArray(value)
+            ? value.map(item => this.toJson(item, indent, level + 1))
+            : Object.keys(value).sort().map(key => `${this.toJson(key)}: ${this.toJson(value[key], indent, level + 1)}`);
+        const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+        if (parts.length === 0) return open + close;
+        if (!indent) return open + parts.join(', ') + close;
+
+        const pad = ' '.repeat(indent * (level + 1));
+        return `${open}\n${pad}${parts.join(`,\n${pad}`)}\n${' '.repeat(indent * level)}${close}`;
+    }
+
+    /**
+     * Python repr() of a value: [1, 'a'], {'a': None}, (1, 2), dict_items([('a', 1)])
+     */
+    toRepr(value, seen = new Set()) {
+        if (value === undefined || value === null) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return 'nan';
+            if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+            return String(value);
+        }
+        if (typeof value === 'string') {
+            const quote = value.includes("'") && !value.includes('"') ? '"' : "'";
+            const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+            return quote + (quote === "'" ? escaped.replace(/'/g, "\\'") : escaped) + quote;
+        }
+        if (typeof value === 'function') return '<function>';
+        if (typeof value !== 'object') return String(value);
+
+        // Self-referencing namespaces print like Python's recursive containers
+        if (seen.has(value)) return Array.isArray(value) ? '[...]' : '{...}';
+        seen.add(value);
+        let text;
+        if (Array.isArray(value)) {
+            const items = value.map(item => this.toRepr(item, seen)).join(', ');
+            const type = this.pythonTypes.get(value);
+            if (type === 'tuple') text = value.length === 1 ? `(${items},)` : `(${items})`;
+            else if (type) text = `${type}([${items}])`;
+            else text = `[${items}]`;
+        } else {
+            text = `{${Object.entries(value).map(([key, item]) => `${this.toRepr(key, seen)}: ${this.toRepr(item, seen)}`).join(', ')}}`;
+        }
+        seen.delete(value);
+        return text;
+    }
+
+    describeNode(node) {
+        if (node.type === 'name') return node.name;
+        if (node.type === 'attribute' && node.key.type === 'literal') return `${this.describeNode(node.object)}.${node.key.value}`;
+        return 'expression';
+    }
+}
+
+// Global instance for easy access
+window.jinjaRenderer = new JinjaRenderer();
+
+// Export for use in other modules
+window.JinjaRenderer = JinjaRenderer;
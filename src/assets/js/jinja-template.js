@@ -0,0 +1,273 @@
+/**
+ * Jinja Template Analyzer
+ * Editor checks for .jinja prompt files, built on the tokenizer and parser in jinja-renderer.js
+ * Finds variables, blocks, filters and includes, reports syntax errors and flags undefined variables
+ */
+
+// Built-in filters; anything else is reported as a possible typo (the backend may register custom ones)
+const JINJA_BUILTIN_FILTERS = [
+    'abs', 'attr', 'batch', 'capitalize', 'center', 'count', 'd', 'default', 'dictsort', 'e', 'escape',
+    'filesizeformat', 'first', 'float', 'forceescape', 'format', 'groupby', 'indent', 'int', 'items', 'join',
+    'last', 'length', 'list', 'lower', 'map', 'max', 'min', 'pprint', 'random', 'reject', 'rejectattr',
+    'replace', 'reverse', 'round', 'safe', 'select', 'selectattr', 'slice', 'sort', 'string', 'striptags',
+    'sum', 'title', 'tojson', 'trim', 'truncate', 'unique', 'upper', 'urlencode', 'urlize', 'wordcount',
+    'wordwrap', 'xmlattr'
+];
+
+// Global and special names that are never template inputs
+const JINJA_RESERVED_NAMES = [
+    'loop', 'range', 'lipsum', 'dict', 'cycler', 'joiner', 'namespace', 'super', 'caller', 'varargs',
+    'kwargs', 'self', '__body__'
+];
+
+class JinjaTemplateAnalyzer {
+    /**
+     * Analyze a template
+     * knownVariables: names the workflow provides; when given, other free variables are flagged as undefined
+     * Returns { variables, blocks, filters, includes, errors, warnings }
+     */
+    analyze(content, knownVariables = null) {
+        const result = {
+            variables: [],  // [{ name, lines, undefined }] - free variables the template expects
+            blocks: [],     // [{ tag, name, line }]
+            filters: [],    // [{ name, lines, builtin }]
+            includes: [],   // [{ tag, template, line }]
+            errors: [],     // [{ line, message }]
+            warnings: []    // [{ line, message }]
+        };
+        const state = { defined: new Set(), used: Object.create(null), filters: Object.create(null), result };
+
+        try {
+            const tokens = jinjaRenderer.tokenize(content || '');
+            this.checkStrayDelimiters(tokens, result);
+            try {
+                this.collectNodes(jinjaRenderer.parse(tokens), state);
+            } catch (error) {
+                result.errors.push(this.toProblem(error));
+                // Still list what the {{ output }} tags use, so the variables survive a half-typed statement
+                tokens.filter(token => token.type === 'output').forEach(token => {
+                    try {
+                        this.collectExpression(jinjaRenderer.parseExpression(token.expression, token.line), token.line, state);
+                    } catch (expressionError) {
+                        // Reported by the full parse when it is the first error
+                    }
+                });
+            }
+        } catch (error) {
+            result.errors.push(this.toProblem(error));
+        }
+
+        const known = knownVariables ? new Set(knownVariables) : null;
+        result.variables = Object.entries(state.used)
+            .filter(([name]) => !state.defined.has(name))
+            .map(([name, lines]) => ({
+                name,
+                lines,
+                undefined: known ? !known.has(name) : false
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        result.variables.filter(variable => variable.undefined).forEach(variable => {
+            const suggestion = this.suggest(variable.name, [...known]);
+            result.warnings.push({
+                line: variable.lines[0],
+                message: `Undefined variable "${variable.name}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`
+            });
+        });
+
+        result.filters = Object.entries(state.filters)
+            .map(([name, lines]) => ({ name, lines, builtin: JINJA_BUILTIN_FILTERS.includes(name) }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        result.filters.filter(filter => !filter.builtin).forEach(filter => {
+            const suggestion = this.suggest(filter.name, JINJA_BUILTIN_FILTERS);
+            result.warnings.push({
+                line: filter.lines[0],
+                message: `Unknown filter "${filter.name}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`
+            });
+        });
+
+        result.errors.sort((a, b) => a.line - b.line);
+        result.warnings.sort((a, b) => a.line - b.line);
+        return result;
+    }
+
+    /**
+     * Closing delimiters left in text have no opening tag (Jinja prints them, which is rarely intended)
+     */
+    checkStrayDelimiters(tokens, result) {
+        tokens.filter(token => token.type === 'text' && !token.raw).forEach(token => {
+            const strayPattern = /\}\}|%\}/g;
+            let stray;
+            while ((stray = strayPattern.exec(token.value)) !== null) {
+                result.errors.push({
+                    line: token.line + token.value.slice(0, stray.index).split('\n').length - 1,
+                    message: `"${stray[0]}" without a matching opening tag`
+                });
+            }
+        });
+    }
+
+    /**
+     * Parser error -> { line, message }
+     */
+    toProblem(error) {
+        const match = error.message.match(/^Line (\d+): ([\s\S]*)$/);
+        const message = match ? match[2] : error.message;
+        return { line: match ? Number(match[1]) : 1, message: message.charAt(0).toUpperCase() + message.slice(1) };
+    }
+
+    /**
+     * Record definitions, blocks, includes and expressions in a node tree
+     */
+    collectNodes(nodes, state) {
+        const { defined, result } = state;
+        const collect = (expression, line) => expression && this.collectExpression(expression, line, state);
+        const collectParams = (params, line) => params.forEach(param => {
+            defined.add(param.name);
+            collect(param.defaultValue, line);
+        });
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'output':
+                case 'do':
+                    collect(node.expression, node.line);
+                    break;
+                case 'if':
+                    node.branches.forEach(branch => {
+                        collect(branch.condition, branch.line);
+                        this.collectNodes(branch.nodes, state);
+                    });
+                    this.collectNodes(node.elseNodes, state);
+                    break;
+                case 'for':
+                    node.targets.forEach(target => defined.add(target));
+                    collect(node.iterable, node.line);
+                    collect(node.filter, node.line);
+                    this.collectNodes(node.nodes, state);
+                    this.collectNodes(node.elseNodes, state);
+                    break;
+                case 'set':
+                    node.targets.forEach(target => defined.add(target.split('.')[0]));
+                    collect(node.expression, node.line);
+                    break;
+                case 'setBlock':
+                    defined.add(node.name);
+                    collect(node.filter, node.line);
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'with':
+                    node.assignments.forEach(assignment => {
+                        defined.add(assignment.name);
+                        collect(assignment.expression, node.line);
+                    });
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'macro':
+                    defined.add(node.name);
+                    collectParams(node.params, node.line);
+                    result.blocks.push({ tag: 'macro', name: node.name, line: node.line });
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'call':
+                    collectParams(node.params, node.line);
+                    collect(node.call, node.line);
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'filterBlock':
+                    collect(node.filter, node.line);
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'group':
+                    if (node.tag === 'block') {
+                        result.blocks.push({ tag: 'block', name: node.name, line: node.line });
+                    }
+                    this.collectNodes(node.nodes, state);
+                    break;
+                case 'include':
+                case 'extends':
+                case 'import':
+                case 'fromImport':
+                    result.includes.push({
+                        tag: node.type === 'fromImport' ? 'from' : node.type,
+                        template: node.template.type === 'literal' ? node.template.value : jinjaRenderer.describeNode(node.template),
+                        line: node.line
+                    });
+                    collect(node.template, node.line);
+                    if (node.alias) defined.add(node.alias);
+                    (node.names || []).forEach(name => defined.add(name.alias));
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Record the root variables and filters used in an expression tree
+     */
+    collectExpression(expression, line, state) {
+        if (expression.type === 'name' && !JINJA_RESERVED_NAMES.includes(expression.name)) {
+            const lines = state.used[expression.name] || (state.used[expression.name] = []);
+            if (!lines.includes(line)) lines.push(line);
+        } else if (expression.type === 'filter') {
+            (state.filters[expression.name] || (state.filters[expression.name] = [])).push(line);
+        }
+
+        // Operands, arguments, items and entries are nested nodes (or arrays of them)
+        Object.values(expression).forEach(value => {
+            [].concat(value).forEach(child => {
+                if (child && typeof child === 'object' && child.type) {
+                    this.collectExpression(child, line, state);
+                }
+            });
+        });
+    }
+
+    /**
+     * Closest candidate by edit distance (null when nothing is close)
+     */
+    suggest(name, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = this.editDistance(name.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= Math.max(1, Math.floor(name.length / 4)) ? best : null;
+    }
+
+    /**
+     * Levenshtein distance
+     */
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Normalize spacing inside tags: {{var}} -> {{ var }}, {%if x%} -> {% if x %}
+     */
+    formatTags(content) {
+        return (content || '')
+            .replace(/\{\{(-?)\s*([\s\S]*?)\s*(-?)\}\}/g, (_, open, body, close) => `{{${open} ${body} ${close}}}`)
+            .replace(/\{%(-?)\s*([\s\S]*?)\s*(-?)%\}/g, (_, open, body, close) => `{%${open} ${body} ${close}%}`);
+    }
+}
+
+// Global instance for easy access
+window.jinjaTemplate = new JinjaTemplateAnalyzer();
+
+// Export for use in other modules
+window.JinjaTemplateAnalyzer = JinjaTemplateAnalyzer;
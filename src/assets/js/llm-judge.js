@@ -0,0 +1,214 @@
+/**
+ * LLM Judge
+ * Optional grading step that sends a rubric prompt with the run input and an agent's
+ * output to a grading endpoint. Rubrics are prompt files (rubric_*.jinja) stored in a
+ * workflow revision, so they are versioned alongside the agent prompts.
+ */
+
+class LlmJudge {
+    constructor(options = {}) {
+        // Configuration
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.gradeEndpoint = options.gradeEndpoint || '/api/v1/evaluations/grade';
+        this.promptViewEndpoint = options.promptViewEndpoint || '/api/v1/prompts/view';
+        this.timeout = options.timeout || 120000;
+        this.storageKey = 'evaluation_judge_config';
+
+        // Rubric content cache keyed by "revisionId/fileName"
+        this.rubricCache = {};
+    }
+
+    /**
+     * Default judge configuration for a workflow
+     */
+    createConfig() {
+        return {
+            enabled: false,
+            endpoint: '',          // Full grading URL; blank = baseUrl + gradeEndpoint
+            rubricRevisionId: '',  // Revision to read rubrics from; blank = the evaluated revision
+            defaultRubric: '',     // Rubric file applied to every agent without an override
+            agentRubrics: {},      // { agentName: rubricFile }
+            maxScore: 10
+        };
+    }
+
+    /**
+     * Get the judge configuration for a workflow
+     */
+    getConfig(workflowId) {
+        if (typeof Storage === 'undefined') {
+            return this.createConfig();
+        }
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return { ...this.createConfig(), ...(all[workflowId] || {}) };
+        } catch (error) {
+            console.warn('LlmJudge: Failed to load judge config from localStorage:', error);
+            return this.createConfig();
+        }
+    }
+
+    /**
+     * Persist the judge configuration for a workflow
+     */
+    saveConfig(workflowId, config) {
+        if (!workflowId) {
+            return;
+        }
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            all[workflowId] = JSON.parse(JSON.stringify(config));
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.warn('LlmJudge: Failed to save judge config to localStorage:', error);
+        }
+    }
+
+    /**
+     * Rubric file to use for an agent (null = agent is not judged)
+     */
+    getRubricFile(config, agentName) {
+        return config.agentRubrics?.[agentName] || config.defaultRubric || null;
+    }
+
+    /**
+     * Load rubric prompt content from the prompt view endpoint
+     */
+    async loadRubric(revisionId, fileName) {
+        const cacheKey = `${revisionId}/${fileName}`;
+        if (this.rubricCache[cacheKey] !== undefined) {
+            return this.rubricCache[cacheKey];
+        }
+
+        const url = `${this.baseUrl}${this.promptViewEndpoint}/${encodeURIComponent(revisionId)}/${encodeURIComponent(fileName)}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load rubric ${fileName}: ${response.status}`);
+        }
+
+        this.rubricCache[cacheKey] = await response.text();
+        return this.rubricCache[cacheKey];
+    }
+
+    /**
+     * Build the grading request body
+     */
+    buildGradeRequest({ rubric, rubricFile, rubricRevisionId, inputs, output, agentName, model, maxScore }) {
+        return {
+            rubric,
+            rubric_file: rubricFile,
+            rubric_revision_id: rubricRevisionId,
+            agent_name: agentName,
+            agent_model: model,
+            inputs,
+            output,
+            max_score: maxScore
+        };
+    }
+
+    /**
+     * Send one grading request and map the response
+     */
+    async grade(requestBody, endpointUrl) {
+        const url = endpointUrl || `${this.baseUrl}${this.gradeEndpoint}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(requestBody),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+        }
+
+        return this.mapGradeResponse(await response.json(), requestBody.max_score);
+    }
+
+    /**
+     * Map a grading response into { score, maxScore, percent, rationale, criteria }
+     */
+    mapGradeResponse(data, defaultMaxScore = 10) {
+        const maxScore = data.max_score ?? defaultMaxScore;
+        const score = Number(data.score ?? 0);
+        const criteria = (data.criteria || data.breakdown || []).map(criterion => ({
+            name: criterion.name || criterion.criterion,
+            score: Number(criterion.score ?? 0),
+            maxScore: criterion.max_score ?? maxScore,
+            rationale: criterion.rationale || criterion.reason || ''
+        }));
+
+        return {
+            score,
+            maxScore,
+            percent: maxScore ? Math.round((score / maxScore) * 100) : null,
+            rationale: data.rationale || data.reason || '',
+            criteria
+        };
+    }
+
+    /**
+     * Grade every agent result that has a rubric
+     * Records the verdict as agentResult.judge and an average on results.judge
+     */
+    async judgeResults(results, inputData, config, revisionId) {
+        if (!results || !config.enabled) {
+            return results;
+        }
+
+        // Strip client-side metadata keys (_workflow, _timestamp, ...) like the run request does
+        const inputs = {};
+        Object.entries(inputData || {}).forEach(([key, value]) => {
+            if (!key.startsWith('_')) {
+                inputs[key] = value;
+            }
+        });
+        const rubricRevisionId = config.rubricRevisionId || revisionId;
+
+        await Promise.all((results.agentResults || []).map(async agentResult => {
+            const rubricFile = this.getRubricFile(config, agentResult.agentName);
+            if (!rubricFile) {
+                return;
+            }
+
+            agentResult.judge = { status: 'grading', rubricFile, rubricRevisionId };
+            try {
+                const rubric = await this.loadRubric(rubricRevisionId, rubricFile);
+                const verdict = await this.grade(this.buildGradeRequest({
+                    rubric,
+                    rubricFile,
+                    rubricRevisionId,
+                    inputs,
+                    output: agentResult.output,
+                    agentName: agentResult.agentName,
+                    model: agentResult.model,
+                    maxScore: config.maxScore
+                }), config.endpoint);
+                agentResult.judge = { status: 'graded', rubricFile, rubricRevisionId, ...verdict };
+            } catch (error) {
+                console.error(`LlmJudge: grading ${agentResult.agentName} failed:`, error);
+                agentResult.judge = { status: 'error', rubricFile, rubricRevisionId, error: error.message };
+            }
+        }));
+
+        const graded = (results.agentResults || []).filter(result => result.judge?.status === 'graded');
+        results.judge = {
+            graded: graded.length,
+            averagePercent: graded.length
+                ? Math.round(graded.reduce((sum, result) => sum + result.judge.percent, 0) / graded.length)
+                : null
+        };
+
+        return results;
+    }
+}
+
+// Global instance for easy access
+window.llmJudge = new LlmJudge();
+
+// Export for use in other modules
+window.LlmJudge = LlmJudge;
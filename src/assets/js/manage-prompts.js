@@ -9,12 +9,25 @@ const PROMPTS_API_CONFIG = {
         getPrompts: '/api/v1/workflows/{workflowId}/prompts',
         getRevisions: '/api/v1/workflows/{workflowId}/revisions',
         createRevision: '/api/v1/workflows/{workflowId}/revisions',
+        promoteRevision: '/api/v1/workflows/{workflowId}/revisions/{revisionId}/promote',
+        archiveRevision: '/api/v1/workflows/{workflowId}/revisions/{revisionId}/archive',
+        rollbackRevision: '/api/v1/workflows/{workflowId}/revisions/{revisionId}/rollback',
+        workflowSchema: '/api/v1/workflows/{workflowId}/schema',
+        workflowAgents: '/api/v1/custom-workflows/agents/{workflowId}',
         updatePrompt: '/api/v1/prompts/{promptId}',
-        deletePrompt: '/api/v1/prompts/{promptId}',
-        duplicatePrompt: '/api/v1/prompts/{promptId}/duplicate'
+        // Prompts are addressed by revision and file name, like promptUpdate
+        deletePrompt: '/api/v1/prompts/{revisionId}/{fileName}',
+        duplicatePrompt: '/api/v1/prompts/{revisionId}/{fileName}/duplicate'
     }
 };
 
+// Editor drafts are written this often and kept this long
+const DRAFT_AUTOSAVE_INTERVAL_MS = 5000;
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Diff source id for the unsaved editor buffer (other sources are revision ids)
+const EDITOR_DIFF_SOURCE = '__editor__';
+
 // Alpine.js Application
 function managePromptsApp() {
     return {
@@ -25,10 +38,41 @@ function managePromptsApp() {
         prompts: [],
         revisions: [],
         filteredPrompts: [],
+        search: { query: '', regex: false, caseSensitive: false }, // Matched against names, file paths and full content
+        facets: { type: '', status: '', author: '', agent: '' }, // Empty value = any
         selectedPrompt: null, // For the view modal
         editPromptData: {}, // For the edit modal
         isCreatingNewPrompt: false, // Track if we're creating or editing
-        lastSavedTime: null,
+        lastSavedTime: { draft: null, server: null }, // Times the editor was last autosaved locally / saved to the backend
+        draftStorageKey: 'prompt_editor_drafts',
+        draftKey: null, // Storage key of the prompt being edited
+        editorBaseline: null, // Editor fields as opened (or last saved), to tell unsaved changes apart
+        pendingDraft: null, // Stored draft offered for restore when the editor opens
+        editorHandoff: false, // Editor hidden to show another modal that reopens it (keeps the editor session)
+        newRevisionData: { baseRevisionId: '', description: '' }, // For the create revision modal
+        creatingRevision: false,
+        revisionAction: null, // { type, revision, summary } for the confirm revision action modal
+        processingRevisionAction: false,
+        promptDiff: null, // { filePath, oldSource, newSource, returnToEditor } for the diff modal
+        diffLayout: 'unified', // 'unified' | 'side-by-side'
+        workflowSchema: null,
+        schemaVariables: [], // Top-level input names from the workflow schema, used to flag undefined template variables
+        previewVariablesJson: '{}', // Variables panel of the render preview modal
+        renderPreview: null, // { text, error, budget } while the render preview modal is open
+        previewSnapshots: [], // Saved evaluation form snapshots for this workflow
+        previewStorageKey: 'prompt_preview_variables',
+        agents: [], // Workflow agents with their model names, for token estimates
+        agentPrompts: {}, // { agentName: { files, source } } - which prompt files each agent consumes
+        contextBudgets: {}, // { modelName: { budget, expectedInputTokens } }
+        budgetDraft: {}, // Copy of contextBudgets edited in the budget modal
+        duplicateData: null, // { source, revisionId, fileName } for the duplicate modal
+        duplicating: false,
+        trash: [], // Prompts moved to the trash this session; deleted on the backend only when the trash is emptied
+        emptyingTrash: false,
+        mergeConflict: null, // { promptId, base, theirs, mine, merged, latest, resolution } for the merge modal
+        exportingRevision: false,
+        archiveImport: null, // { revision, fileName, manifest, entries, warnings } for the import archive modal
+        importing: false,
         loading: false,
         error: null,
 
@@ -37,6 +81,376 @@ function managePromptsApp() {
             this.loadWorkflowInfo();
             await this.loadWorkflowData();
             this.filterPrompts();
+            await this.loadWorkflowSchema();
+            await this.loadWorkflowAgents();
+            await this.loadAgentPrompts();
+            this.contextBudgets = tokenCounter.loadBudgets();
+            this.openRequestedPrompt();
+            
+            // Re-render the open preview when its variables change (the textarea is debounced)
+            this.$watch('previewVariablesJson', () => {
+                if (this.renderPreview) {
+                    this.updateRenderPreview();
+                }
+            });
+            
+            // Autosave the editor locally and warn before leaving with unsaved changes
+            setInterval(() => this.autosaveDraft(), DRAFT_AUTOSAVE_INTERVAL_MS);
+            window.addEventListener('beforeunload', (event) => {
+                // Also warn while prompts wait in the trash: leaving keeps them on the backend
+                if (this.hasUnsavedChanges() || this.trash.length > 0) {
+                    this.autosaveDraft();
+                    event.preventDefault();
+                    event.returnValue = '';
+                }
+            });
+            
+            // Closing the editor asks before dropping unsaved changes and ends the editor session
+            const editModalElement = document.getElementById('editPromptModal');
+            editModalElement.addEventListener('hide.bs.modal', (event) => {
+                if (!this.editorHandoff && this.hasUnsavedChanges() &&
+                    !confirm('Discard your unsaved changes to this prompt?')) {
+                    event.preventDefault();
+                }
+            });
+            editModalElement.addEventListener('hidden.bs.modal', () => {
+                if (this.editorHandoff) {
+                    this.editorHandoff = false;
+                    return;
+                }
+                this.endEditorSession();
+            });
+        },
+
+        // Editor fields that make up a draft
+        getEditorSnapshot() {
+            return JSON.stringify({
+                name: this.editPromptData.name || '',
+                fileName: this.editPromptData.fileName || '',
+                content: this.editPromptData.content || ''
+            });
+        },
+
+        // Whether the editor holds changes that are not saved to the backend
+        hasUnsavedChanges() {
+            return this.draftKey !== null && this.getEditorSnapshot() !== this.editorBaseline;
+        },
+
+        // Load stored drafts, dropping expired ones: { key: { name, fileName, content, baseHash, savedAt } }
+        loadDrafts() {
+            if (typeof Storage === 'undefined') {
+                return {};
+            }
+            try {
+                const drafts = JSON.parse(localStorage.getItem(this.draftStorageKey)) || {};
+                Object.keys(drafts).forEach(key => {
+                    if (Date.now() - new Date(drafts[key].savedAt).getTime() > DRAFT_MAX_AGE_MS) {
+                        delete drafts[key];
+                    }
+                });
+                return drafts;
+            } catch (error) {
+                console.warn('Failed to load prompt drafts from localStorage:', error);
+                return {};
+            }
+        },
+
+        // Persist drafts
+        saveDrafts(drafts) {
+            try {
+                localStorage.setItem(this.draftStorageKey, JSON.stringify(drafts));
+            } catch (error) {
+                console.warn('Failed to save prompt drafts to localStorage:', error);
+            }
+        },
+
+        // Drop the stored draft for a key
+        removeDraft(key) {
+            const drafts = this.loadDrafts();
+            if (drafts[key]) {
+                delete drafts[key];
+                this.saveDrafts(drafts);
+            }
+        },
+
+        // Start tracking drafts for the prompt just loaded into the editor
+        startEditorSession() {
+            // New prompts share one slot per revision since their ids are generated on every open
+            const promptKey = this.isCreatingNewPrompt ? '__new__' : this.editPromptData.id;
+            this.draftKey = `${this.workflowId}:${this.editPromptData.revision_id}:${promptKey}`;
+            this.editorBaseline = this.getEditorSnapshot();
+            this.lastSavedTime.draft = null;
+            
+            const draft = this.loadDrafts()[this.draftKey];
+            this.pendingDraft = draft && JSON.stringify({ name: draft.name, fileName: draft.fileName, content: draft.content }) !== this.editorBaseline
+                ? draft
+                : null;
+        },
+
+        // Stop tracking the closed editor; unsaved changes were discarded, so their draft goes too
+        // (a pending draft the user has not decided on is kept for the next open)
+        endEditorSession() {
+            if (this.hasUnsavedChanges() && !this.pendingDraft) {
+                this.removeDraft(this.draftKey);
+            }
+            this.draftKey = null;
+            this.editorBaseline = null;
+            this.pendingDraft = null;
+            this.lastSavedTime.draft = null;
+        },
+
+        // Hide the editor to show another modal that reopens it afterwards
+        handOffEditor() {
+            const editModal = bootstrap.Modal.getInstance(document.getElementById('editPromptModal'));
+            if (editModal) {
+                this.editorHandoff = true;
+                editModal.hide();
+            }
+        },
+
+        // Write the editor to local storage when it has changed since the last write
+        autosaveDraft() {
+            if (!this.hasUnsavedChanges() || this.pendingDraft) {
+                return; // Never overwrite a draft the user has not decided on yet
+            }
+            
+            const drafts = this.loadDrafts();
+            const existing = drafts[this.draftKey];
+            const snapshot = JSON.parse(this.getEditorSnapshot());
+            if (existing && existing.name === snapshot.name && existing.fileName === snapshot.fileName && existing.content === snapshot.content) {
+                return;
+            }
+            
+            drafts[this.draftKey] = {
+                ...snapshot,
+                baseHash: this.isCreatingNewPrompt ? null : this.hashContent(this.selectedPrompt?.content),
+                savedAt: new Date().toISOString()
+            };
+            this.saveDrafts(drafts);
+            this.lastSavedTime.draft = new Date().toLocaleTimeString();
+        },
+
+        // Whether the saved prompt changed after the pending draft was written
+        isPendingDraftStale() {
+            return Boolean(this.pendingDraft?.baseHash) && !this.isCreatingNewPrompt &&
+                this.pendingDraft.baseHash !== this.hashContent(this.selectedPrompt?.content);
+        },
+
+        // Load the pending draft into the editor
+        restoreDraft() {
+            this.editPromptData.name = this.pendingDraft.name;
+            this.editPromptData.fileName = this.pendingDraft.fileName;
+            this.editPromptData.content = this.pendingDraft.content;
+            this.lastSavedTime.draft = new Date(this.pendingDraft.savedAt).toLocaleTimeString();
+            this.pendingDraft = null;
+        },
+
+        // Throw the pending draft away and keep the saved prompt
+        discardDraft() {
+            this.removeDraft(this.draftKey);
+            this.pendingDraft = null;
+        },
+
+        // Load the workflow's agents so each prompt can be counted with its agent's model
+        async loadWorkflowAgents() {
+            try {
+                const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.workflowAgents.replace('{workflowId}', encodeURIComponent(this.workflowId))}`;
+                const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const data = await response.json();
+                this.agents = Array.isArray(data) ? data : (data.agents || []);
+            } catch (error) {
+                console.warn(`Workflow agents unavailable, estimating tokens for ${DEFAULT_TOKEN_MODEL}:`, error.message);
+                this.agents = [];
+            }
+        },
+
+        // Resolve which prompt files each agent consumes (against the active revision's files)
+        async loadAgentPrompts() {
+            const activeRevision = this.revisions.find(revision => revision.status === 'active') || this.revisions[this.revisions.length - 1];
+            this.agentPrompts = await agentPromptMap.load({
+                agents: this.agents,
+                revisionId: activeRevision?.id || null,
+                promptFiles: [...new Set(this.prompts.map(prompt => prompt.file_path))]
+            });
+        },
+
+        // Agents consuming a prompt file
+        getPromptAgents(prompt) {
+            const agentNames = agentPromptMap.getPromptAgents(this.agentPrompts, prompt?.file_path || '');
+            return this.agents.filter(agent => agentNames.includes(agent.agent_name));
+        },
+
+        // First agent consuming a prompt (its model is used for token estimates)
+        getPromptAgent(prompt) {
+            return this.getPromptAgents(prompt)[0] || null;
+        },
+
+        // Whether a prompt's agents were only guessed from its file name
+        isPromptAgentInferred(prompt) {
+            const agents = this.getPromptAgents(prompt);
+            return agents.length > 0 && agents.every(agent => this.agentPrompts[agent.agent_name]?.source === 'inferred');
+        },
+
+        // Open the prompt named in the URL (?prompt=file.jinja), e.g. from an agent card in the workflow view
+        openRequestedPrompt() {
+            const requested = new URLSearchParams(window.location.search).get('prompt');
+            if (!requested) return;
+            
+            const stem = agentPromptMap.getStem(requested);
+            const matches = this.prompts.filter(prompt => prompt.file_path === requested || agentPromptMap.getStem(prompt.file_path) === stem);
+            const prompt = matches.find(candidate => candidate.status === 'active') || matches[matches.length - 1];
+            if (prompt) {
+                this.viewPrompt(prompt);
+            } else {
+                console.warn(`Requested prompt ${requested} not found in this workflow`);
+            }
+        },
+
+        // Model a prompt is sent to
+        getPromptModel(prompt) {
+            return this.getPromptAgent(prompt)?.agent_model_name || DEFAULT_TOKEN_MODEL;
+        },
+
+        // Estimated tokens of a saved prompt
+        getPromptTokens(prompt) {
+            return tokenCounter.estimate(this.getPromptContent(prompt), this.getPromptModel(prompt));
+        },
+
+        // Budget check for a saved prompt
+        getPromptBudget(prompt) {
+            return tokenCounter.checkBudget(this.getPromptTokens(prompt), this.getPromptModel(prompt), null, this.contextBudgets);
+        },
+
+        // Budget check for the editor buffer
+        get editorBudget() {
+            const model = this.getPromptModel(this.selectedPrompt);
+            return tokenCounter.checkBudget(tokenCounter.estimate(this.editPromptData.content, model), model, null, this.contextBudgets);
+        },
+
+        // Text class for a budget status
+        getBudgetStatusClass(status) {
+            const statusClasses = {
+                'ok': 'text-muted',
+                'warning': 'text-warning-emphasis',
+                'over': 'text-danger'
+            };
+            return statusClasses[status] || 'text-muted';
+        },
+
+        // Models used by this workflow's agents (plus the default), for the budget modal
+        getBudgetModels() {
+            return [...new Set([...this.agents.map(agent => agent.agent_model_name).filter(Boolean), DEFAULT_TOKEN_MODEL])];
+        },
+
+        // Open the context budget settings
+        openContextBudgets() {
+            this.budgetDraft = JSON.parse(JSON.stringify(this.contextBudgets));
+            this.getBudgetModels().forEach(model => {
+                if (!this.budgetDraft[model]) {
+                    this.budgetDraft[model] = { ...tokenCounter.getBudget(model, {}) };
+                }
+            });
+            
+            const modal = new bootstrap.Modal(document.getElementById('contextBudgetModal'));
+            modal.show();
+        },
+
+        // Save the context budget settings
+        saveContextBudgets() {
+            this.contextBudgets = JSON.parse(JSON.stringify(this.budgetDraft));
+            tokenCounter.saveBudgets(this.contextBudgets);
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('contextBudgetModal'));
+            if (modal) {
+                modal.hide();
+            }
+        },
+
+        // Load the workflow input schema so templates can be checked for undefined variables
+        async loadWorkflowSchema() {
+            try {
+                const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.workflowSchema.replace('{workflowId}', encodeURIComponent(this.workflowId))}`;
+                const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const schema = await response.json();
+                const rootModel = schema.schemas?.RootModel || schema;
+                this.workflowSchema = schema;
+                this.schemaVariables = Object.keys(rootModel.properties || {});
+            } catch (error) {
+                console.warn('Workflow schema unavailable, checking variables against saved prompts only:', error.message);
+                this.workflowSchema = null;
+                this.schemaVariables = [];
+            }
+        },
+
+        // Sample value for a schema definition (follows $ref into schema.schemas)
+        buildSchemaSample(definition, depth = 0) {
+            if (!definition || depth > 5) return null;
+            
+            if (definition.$ref) {
+                const refName = definition.$ref.split('/').pop();
+                return this.buildSchemaSample(this.workflowSchema?.schemas?.[refName], depth + 1);
+            }
+            if (definition.default !== undefined) return definition.default;
+            if (definition.example !== undefined) return definition.example;
+            if (definition.enum?.length) return definition.enum[0];
+            
+            const type = Array.isArray(definition.type) ? definition.type[0] : definition.type;
+            switch (type) {
+                case 'integer':
+                case 'number':
+                    return definition.minimum ?? 0;
+                case 'boolean':
+                    return false;
+                case 'array':
+                    return [this.buildSchemaSample(definition.items, depth + 1)];
+                case 'object':
+                default: {
+                    if (!definition.properties) {
+                        return type === 'object' ? {} : `<${definition.title || 'value'}>`;
+                    }
+                    const sample = {};
+                    Object.entries(definition.properties).forEach(([name, property]) => {
+                        sample[name] = property.type === 'string' && property.default === undefined && property.example === undefined && !property.enum
+                            ? `<${name}>`
+                            : this.buildSchemaSample(property, depth + 1);
+                    });
+                    return sample;
+                }
+            }
+        },
+
+        // Variables a prompt file may use: schema inputs plus anything its saved versions already use
+        // Returns null when there is nothing to check against
+        getKnownTemplateVariables(filePath) {
+            const savedVariables = this.prompts
+                .filter(prompt => prompt.file_path === filePath && prompt.content)
+                .flatMap(prompt => jinjaTemplate.analyze(this.getPromptContent(prompt)).variables.map(variable => variable.name));
+            const known = [...new Set([...this.schemaVariables, ...savedVariables])];
+            return known.length ? known : null;
+        },
+
+        // Template analysis of the editor buffer
+        get templateAnalysis() {
+            return jinjaTemplate.analyze(
+                this.editPromptData.content,
+                this.getKnownTemplateVariables(this.selectedPrompt?.file_path)
+            );
+        },
+
+        // Variables a saved prompt expects
+        getPromptVariables(prompt) {
+            if (!prompt?.content) return [];
+            return jinjaTemplate.analyze(this.getPromptContent(prompt)).variables;
         },
 
         // Load workflow information from URL parameters or storage
@@ -46,12 +460,9 @@ function managePromptsApp() {
             this.workflowName = this.formatWorkflowName(this.workflowId);
         },
 
-        // Format workflow name for display
+        // Format workflow name for display (see PromptNames)
         formatWorkflowName(workflowId) {
-            return workflowId
-                .split('_')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
+            return promptNames.formatWorkflowName(workflowId);
         },
 
         // Load sample data (replace with API call when backend is ready)
@@ -225,58 +636,17 @@ function managePromptsApp() {
                 // Find the specific workflow
                 const workflow = data.workflows.find(w => w.workflow === this.workflowId);
                 
-                if (workflow && workflow.prompt_files && workflow.prompt_files.length > 0) {
-                    // Create revisions data (using revision_id)
-                    this.revisions = [{
-                        id: workflow.revision_id,
-                        name: `${workflow.revision_id}`,
-                        date: new Date().toISOString().split('T')[0],
-                        description: `Revision ${workflow.revision_id}`,
-                        author: 'System',
-                        status: 'active'
-                    }];
+                if (workflow) {
+                    this.revisions = await this.loadRevisions(workflow);
                     
-                    // Load prompts for each file
-                    this.prompts = [];
-                    
-                    for (const filename of workflow.prompt_files) {
-                        try {
-                            console.log(`Loading prompt content for: ${filename}`);
-                            const promptContent = await this.loadPromptContent(workflow.revision_id, filename);
-                            
-                            this.prompts.push({
-                                id: `prompt-${filename.replace(/\.[^/.]+$/, "")}`,
-                                name: this.formatPromptName(filename),
-                                revision_id: workflow.revision_id,
-                                status: 'active',
-                                last_modified: new Date().toISOString().split('T')[0],
-                                author: 'System',
-                                size: promptContent.length,
-                                preview: this.generatePreview(promptContent),
-                                file_path: filename,
-                                type: 'system',
-                                content: promptContent
-                            });
-                        } catch (error) {
-                            console.error(`Error loading prompt ${filename}:`, error);
-                            // Add placeholder for failed prompt
-                            this.prompts.push({
-                                id: `prompt-${filename.replace(/\.[^/.]+$/, "")}`,
-                                name: this.formatPromptName(filename),
-                                revision_id: workflow.revision_id,
-                                status: 'error',
-                                last_modified: new Date().toISOString().split('T')[0],
-                                author: 'System',
-                                size: 0,
-                                preview: 'Failed to load prompt content',
-                                file_path: filename,
-                                type: 'system',
-                                content: 'Error loading content'
-                            });
-                        }
-                    }
+                    // Load prompts for every revision in parallel
+                    const revisionPrompts = await Promise.all(
+                        this.revisions.map(revision => this.loadRevisionPrompts(revision, workflow))
+                    );
+                    // Prompts in the trash still exist on the backend until it is emptied
+                    this.prompts = revisionPrompts.flat().filter(prompt => !this.isTrashed(prompt));
                     
-                    console.log('Successfully loaded prompts:', this.prompts.length);
+                    console.log(`Successfully loaded ${this.prompts.length} prompts across ${this.revisions.length} revisions`);
                 } else {
                     console.log('No prompt files found for workflow:', this.workflowId);
                     // Don't use fallback data - just set empty arrays to show "not found" message
@@ -294,29 +664,420 @@ function managePromptsApp() {
             }
         },
 
+        // Load every revision of the workflow (oldest first)
+        async loadRevisions(workflow) {
+            const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.getRevisions.replace('{workflowId}', encodeURIComponent(this.workflowId))}`;
+            
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const data = await response.json();
+                const rawRevisions = Array.isArray(data) ? data : (data.revisions || []);
+                return rawRevisions
+                    .map(rawRevision => this.mapRevision(rawRevision))
+                    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+            } catch (error) {
+                // Older backends only expose the workflow's current revision
+                console.warn('Revisions endpoint unavailable, using the workflow revision only:', error);
+                if (!workflow.revision_id) {
+                    return [];
+                }
+                return [this.mapRevision({
+                    revision_id: workflow.revision_id,
+                    status: 'active',
+                    prompt_files: workflow.prompt_files
+                })];
+            }
+        },
+
+        // Map a backend revision into the shape used by the page
+        mapRevision(rawRevision) {
+            const id = rawRevision.revision_id || rawRevision.id;
+            const createdAt = rawRevision.created_at || rawRevision.date || null;
+            const rawFiles = rawRevision.files || rawRevision.prompt_files || [];
+            
+            return {
+                id,
+                name: rawRevision.name || `${id}`,
+                date: createdAt ? createdAt.split('T')[0] : '',
+                created_at: createdAt,
+                description: rawRevision.description || '',
+                author: rawRevision.author || rawRevision.created_by || 'Unknown',
+                status: rawRevision.status || 'draft', // draft | active | archived
+                parent_id: rawRevision.parent_revision_id || rawRevision.base_revision_id || null,
+                // Files may be plain names or { name, author, updated_at } objects
+                files: rawFiles.map(file => (typeof file === 'string'
+                    ? { name: file }
+                    : { name: file.name || file.filename, author: file.author, last_modified: (file.updated_at || file.last_modified || '').split('T')[0] }))
+            };
+        },
+
+        // Load the prompt files of one revision
+        async loadRevisionPrompts(revision, workflow) {
+            const isWorkflowRevision = revision.id === workflow.revision_id;
+            // Revisions listed without files are assumed to hold the workflow's prompt files
+            const files = revision.files.length > 0
+                ? revision.files
+                : (workflow.prompt_files || []).map(name => ({ name }));
+            
+            const prompts = await Promise.all(files.map(async file => {
+                try {
+                    console.log(`Loading prompt content for: ${revision.id}/${file.name}`);
+                    const { content, etag } = await this.loadPromptContent(revision.id, file.name);
+                    return this.createPromptEntry(revision, file, content, etag);
+                } catch (error) {
+                    if (!isWorkflowRevision && revision.files.length === 0) {
+                        // Assumed file is not part of this revision
+                        console.warn(`Prompt ${file.name} not found in revision ${revision.id}`);
+                        return null;
+                    }
+                    console.error(`Error loading prompt ${file.name}:`, error);
+                    // Add placeholder for failed prompt
+                    return {
+                        ...this.createPromptEntry(revision, file, ''),
+                        status: 'error',
+                        preview: 'Failed to load prompt content',
+                        content: 'Error loading content'
+                    };
+                }
+            }));
+            
+            return prompts.filter(Boolean);
+        },
+
+        // Build a prompt list entry for a file in a revision
+        createPromptEntry(revision, file, promptContent, etag = null) {
+            return {
+                id: `prompt-${revision.id}-${file.name.replace(/\.[^/.]+$/, "")}`,
+                name: this.formatPromptName(file.name),
+                revision_id: revision.id,
+                status: revision.status,
+                last_modified: file.last_modified || revision.date,
+                author: file.author || revision.author,
+                size: promptContent.length,
+                preview: this.generatePreview(promptContent),
+                file_path: file.name,
+                type: this.getPromptType(file.name),
+                content: promptContent,
+                etag // Server ETag of the loaded content, sent back as If-Match when saving
+            };
+        },
+
+        // Get the revision selected in the filter (null for "All Revisions")
+        getSelectedRevision() {
+            return this.revisions.find(revision => revision.id === this.selectedRevision) || null;
+        },
+
+        // Get badge class for a revision status
+        getRevisionStatusClass(status) {
+            const statusClasses = {
+                'active': 'bg-success',
+                'draft': 'bg-warning text-dark',
+                'archived': 'bg-secondary'
+            };
+            return statusClasses[status] || 'bg-secondary';
+        },
+
+        // Open the create-draft modal, branching from the selected (or active) revision
+        openCreateRevision() {
+            const activeRevision = this.revisions.find(revision => revision.status === 'active');
+            this.newRevisionData = {
+                baseRevisionId: this.getSelectedRevision()?.id || activeRevision?.id || this.revisions[this.revisions.length - 1]?.id || '',
+                description: ''
+            };
+            
+            const modal = new bootstrap.Modal(document.getElementById('createRevisionModal'));
+            modal.show();
+        },
+
+        // Create a new draft revision branched from newRevisionData.baseRevisionId
+        async createDraftRevision() {
+            if (!this.newRevisionData.baseRevisionId) {
+                alert('Please select a revision to branch from');
+                return;
+            }
+            
+            this.creatingRevision = true;
+            try {
+                const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.createRevision.replace('{workflowId}', encodeURIComponent(this.workflowId))}`;
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        base_revision_id: this.newRevisionData.baseRevisionId,
+                        description: this.newRevisionData.description,
+                        status: 'draft'
+                    })
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+                }
+                
+                const newRevision = this.mapRevision(await response.json());
+                console.log('Created draft revision:', newRevision);
+                
+                const modal = bootstrap.Modal.getInstance(document.getElementById('createRevisionModal'));
+                if (modal) {
+                    modal.hide();
+                }
+                
+                // Reload so the draft's prompt files come from the backend
+                await this.loadWorkflowData();
+                this.selectedRevision = newRevision.id;
+                this.filterPrompts();
+            } catch (error) {
+                console.error('Error creating revision:', error);
+                alert(`Error creating revision: ${error.message}`);
+            } finally {
+                this.creatingRevision = false;
+            }
+        },
+
+        // Revision status actions: promote a draft, archive a draft, roll back to an archived revision
+        canPromoteRevision(revision) {
+            return revision?.status === 'draft';
+        },
+
+        canArchiveRevision(revision) {
+            return revision?.status === 'draft';
+        },
+
+        canRollbackRevision(revision) {
+            return revision?.status === 'archived';
+        },
+
+        // Compare a revision's prompt files with the active revision
+        // Returns { activeRevisionId, added, removed, modified: [{ file, added, removed }], unchanged }
+        getRevisionDiffSummary(revisionId) {
+            const activeRevision = this.revisions.find(revision => revision.status === 'active');
+            const filesOf = (id) => {
+                const files = {};
+                this.prompts
+                    .filter(prompt => prompt.revision_id === id)
+                    .forEach(prompt => { files[prompt.file_path] = prompt.content || ''; });
+                return files;
+            };
+            
+            const targetFiles = filesOf(revisionId);
+            const activeFiles = activeRevision ? filesOf(activeRevision.id) : {};
+            const summary = {
+                activeRevisionId: activeRevision?.id || null,
+                added: Object.keys(targetFiles).filter(file => !(file in activeFiles)),
+                removed: Object.keys(activeFiles).filter(file => !(file in targetFiles)),
+                modified: [],
+                unchanged: 0
+            };
+            
+            Object.keys(targetFiles).filter(file => file in activeFiles).forEach(file => {
+                if (targetFiles[file] === activeFiles[file]) {
+                    summary.unchanged++;
+                    return;
+                }
+                const lineSummary = textDiff.summarize(textDiff.diffLines(activeFiles[file], targetFiles[file]));
+                summary.modified.push({ file, added: lineSummary.added, removed: lineSummary.removed });
+            });
+            
+            return summary;
+        },
+
+        // Open the confirmation modal for a revision action (promote | archive | rollback)
+        openRevisionAction(type, revision) {
+            this.revisionAction = {
+                type,
+                revision,
+                summary: this.getRevisionDiffSummary(revision.id)
+            };
+            
+            const modal = new bootstrap.Modal(document.getElementById('revisionActionModal'));
+            modal.show();
+        },
+
+        // Human-readable label for a revision action
+        getRevisionActionLabel(type) {
+            const labels = {
+                'promote': 'Promote to Active',
+                'archive': 'Archive',
+                'rollback': 'Roll Back'
+            };
+            return labels[type] || type;
+        },
+
+        // Call the backend for the confirmed revision action and refresh revisions
+        async confirmRevisionAction() {
+            const { type, revision } = this.revisionAction;
+            const endpoint = {
+                'promote': PROMPTS_API_CONFIG.endpoints.promoteRevision,
+                'archive': PROMPTS_API_CONFIG.endpoints.archiveRevision,
+                'rollback': PROMPTS_API_CONFIG.endpoints.rollbackRevision
+            }[type];
+            const url = `${PROMPTS_API_CONFIG.baseUrl}${endpoint
+                .replace('{workflowId}', encodeURIComponent(this.workflowId))
+                .replace('{revisionId}', encodeURIComponent(revision.id))}`;
+            
+            this.processingRevisionAction = true;
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Accept': 'application/json' }
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+                }
+                
+                const modal = bootstrap.Modal.getInstance(document.getElementById('revisionActionModal'));
+                if (modal) {
+                    modal.hide();
+                }
+                
+                await this.loadWorkflowData();
+                this.filterPrompts();
+                alert(`Revision ${revision.name}: ${this.getRevisionActionLabel(type).toLowerCase()} completed.`);
+            } catch (error) {
+                console.error(`Error running ${type} on revision:`, error);
+                alert(`Error: ${error.message}`);
+            } finally {
+                this.processingRevisionAction = false;
+            }
+        },
+
         // Load prompt content from API
+        // Returns { content, etag } (etag is null when the backend does not send one)
         async loadPromptContent(revisionId, filename) {
             const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.promptView}/${revisionId}/${filename}`;
             console.log('Fetching prompt content from:', url);
             
-            const response = await fetch(url);
+            const response = await fetch(url, { cache: 'no-store' });
             
             if (!response.ok) {
                 throw new Error(`Failed to load prompt content: ${response.status}`);
             }
             
-            return await response.text();
+            return {
+                content: await response.text(),
+                etag: response.headers.get('ETag')
+            };
+        },
+
+        // FNV-1a hash of prompt content, used to detect edits made by someone else
+        hashContent(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < (text || '').length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            return hash.toString(16).padStart(8, '0');
+        },
+
+        // Latest server copy of a prompt when it changed since it was loaded, otherwise null
+        async findSaveConflict(prompt) {
+            const latest = await this.loadPromptContent(prompt.revision_id, prompt.file_path);
+            return this.hashContent(latest.content) !== this.hashContent(prompt.content) ? latest : null;
+        },
+
+        // Show the three-way merge of base (as loaded), theirs (server now) and mine (editor buffer)
+        openMergeConflict(prompt, latest) {
+            const base = this.getPromptContent(prompt);
+            const theirs = this.getPromptContent({ content: latest.content });
+            const mine = this.editPromptData.content;
+            const merge = textDiff.merge3(base, mine, theirs, { mine: 'mine (your edits)', theirs: 'theirs (saved on server)' });
+            
+            this.mergeConflict = {
+                promptId: prompt.id,
+                base,
+                theirs,
+                mine,
+                merged: merge.text,
+                latest,
+                resolution: null
+            };
+            
+            this.handOffEditor();
+            
+            const mergeModalElement = document.getElementById('mergeConflictModal');
+            setTimeout(() => {
+                bootstrap.Modal.getOrCreateInstance(mergeModalElement).show();
+                
+                // Back to the editor with the chosen content; save right away unless theirs was kept
+                mergeModalElement.addEventListener('hidden.bs.modal', () => {
+                    bootstrap.Modal.getOrCreateInstance(document.getElementById('editPromptModal')).show();
+                    if (this.mergeConflict?.resolution && this.mergeConflict.resolution !== 'theirs') {
+                        this.savePromptChanges();
+                    }
+                }, { once: true });
+            }, 300);
+        },
+
+        // Conflict blocks left in the merged text
+        getMergeConflictCount() {
+            return ((this.mergeConflict?.merged || '').match(/^<<<<<<< /gm) || []).length;
         },
 
-        // Format filename to readable prompt name
+        // Changes saved by someone else since the prompt was loaded
+        renderTheirChanges() {
+            if (!this.mergeConflict) return '';
+            return textDiff.renderUnified(this.mergeConflict.base, this.mergeConflict.theirs);
+        },
+
+        // Resolve the conflict: 'merged' | 'mine' | 'theirs'
+        resolveMergeConflict(resolution) {
+            if (resolution === 'merged' && this.getMergeConflictCount() > 0) {
+                alert('Resolve every <<<<<<< / ======= / >>>>>>> block in the merged result first');
+                return;
+            }
+            
+            const content = {
+                'merged': this.mergeConflict.merged,
+                'mine': this.mergeConflict.mine,
+                'theirs': this.mergeConflict.theirs
+            }[resolution];
+            
+            // The server copy becomes the new base so the next save is not flagged again
+            const index = this.prompts.findIndex(prompt => prompt.id === this.mergeConflict.promptId);
+            if (index > -1) {
+                const { latest } = this.mergeConflict;
+                this.prompts[index] = {
+                    ...this.prompts[index],
+                    content: latest.content,
+                    etag: latest.etag,
+                    size: latest.content.length,
+                    preview: this.generatePreview(latest.content)
+                };
+                this.selectedPrompt = this.prompts[index];
+                this.filterPrompts();
+            }
+            
+            this.editPromptData.content = content;
+            this.mergeConflict.resolution = resolution;
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('mergeConflictModal'));
+            if (modal) {
+                modal.hide();
+            }
+        },
+
+        // Rubric prompts for the evaluation LLM judge are named rubric_*.jinja
+        getPromptType(filename) {
+            if (/^rubric[_-]/i.test(filename)) return 'rubric';
+            // Message role prompts are named like summary_user.jinja or assistant_example.jinja
+            // (user_proxy_* are system prompts of user proxy agents, not user messages)
+            if (/(^|[_-])user(?![_-]proxy([_.-]|$))([_.-]|$)/i.test(filename)) return 'user';
+            if (/(^|[_-])assistant([_.-]|$)/i.test(filename)) return 'assistant';
+            return 'system';
+        },
+
+        // Format filename to readable prompt name (see PromptNames)
         formatPromptName(filename) {
-            return filename
-                .replace(/\.[^/.]+$/, "") // Remove extension
-                .replace(/[_-]/g, ' ') // Replace underscores and dashes with spaces
-                .replace(/\b(agent|prompt|prompts)\b/gi, '') // Remove "Agent", "Prompt", "Prompts" (case insensitive)
-                .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-                .trim() // Remove leading/trailing spaces
-                .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize first letter of each word
+            return promptNames.formatPromptName(filename);
         },
 
         // Generate preview from prompt content
@@ -373,11 +1134,73 @@ function managePromptsApp() {
 
         // Filter prompts based on selected revision
         filterPrompts() {
-            if (this.selectedRevision === 'all') {
-                this.filteredPrompts = [...this.prompts];
-            } else {
-                this.filteredPrompts = this.prompts.filter(prompt => prompt.revision_id === this.selectedRevision);
+            const pattern = this.searchPattern.pattern;
+            
+            this.filteredPrompts = this.getRevisionPrompts().filter(prompt =>
+                Object.keys(this.facets).every(facet => !this.facets[facet] || this.getFacetValues(prompt, facet).includes(this.facets[facet])) &&
+                (!pattern || this.getSearchMatches(prompt).total > 0)
+            );
+        },
+
+        // Prompts in the selected revision (all revisions when none is selected)
+        getRevisionPrompts() {
+            return this.selectedRevision === 'all'
+                ? [...this.prompts]
+                : this.prompts.filter(prompt => prompt.revision_id === this.selectedRevision);
+        },
+
+        // Compiled search query: { pattern, error }
+        get searchPattern() {
+            return promptSearch.compile(this.search.query.trim() && this.search.query, this.search);
+        },
+
+        // Whether a search or facet filter is narrowing the list
+        isFiltering() {
+            return Boolean(this.search.query) || Object.values(this.facets).some(Boolean);
+        },
+
+        // Values of a facet for a prompt (a prompt can be consumed by several agents)
+        getFacetValues(prompt, facet) {
+            if (facet === 'agent') {
+                return this.getPromptAgents(prompt).map(agent => agent.agent_name);
             }
+            return prompt[facet] ? [prompt[facet]] : [];
+        },
+
+        // Distinct values of a facet within the selected revision
+        getFacetOptions(facet) {
+            return [...new Set(this.getRevisionPrompts().flatMap(prompt => this.getFacetValues(prompt, facet)))].sort();
+        },
+
+        // Clear the search and every facet
+        clearFilters() {
+            this.search.query = '';
+            Object.keys(this.facets).forEach(facet => {
+                this.facets[facet] = '';
+            });
+            this.filterPrompts();
+        },
+
+        // Search matches per field: { name, file_path, content, total }
+        getSearchMatches(prompt) {
+            const pattern = this.searchPattern.pattern;
+            const matches = {
+                name: promptSearch.findMatches(prompt.name, pattern).length,
+                file_path: promptSearch.findMatches(prompt.file_path, pattern).length,
+                content: promptSearch.findMatches(this.getPromptContent(prompt), pattern).length
+            };
+            matches.total = matches.name + matches.file_path + matches.content;
+            return matches;
+        },
+
+        // Text with the current search matches highlighted (escaped HTML)
+        highlightSearch(text) {
+            return promptSearch.highlight(text, this.searchPattern.pattern);
+        },
+
+        // Highlighted content excerpts for a prompt card
+        getSearchSnippets(prompt) {
+            return promptSearch.getSnippets(this.getPromptContent(prompt), this.searchPattern.pattern);
         },
 
         // Get revision name by ID
@@ -438,11 +1261,114 @@ function managePromptsApp() {
             modal.show();
         },
 
-        // Get agent name from prompt (extract from file path)
-        getAgentNameFromPrompt(prompt) {
-            // Extract agent name from file path (remove .txt, .md extensions and convert to readable format)
-            const fileName = prompt.file_path.split('/').pop().replace(/\.(txt|md)$/, '');
-            return fileName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        // Versions of the same prompt file across revisions, oldest revision first
+        getPromptVersions(filePath) {
+            const revisionOrder = this.revisions.map(revision => revision.id);
+            return this.prompts
+                .filter(prompt => prompt.file_path === filePath)
+                .sort((a, b) => revisionOrder.indexOf(a.revision_id) - revisionOrder.indexOf(b.revision_id));
+        },
+
+        // Compare a prompt with another revision of the same file
+        // Defaults to the active revision, or the previous revision when this one is active
+        comparePromptVersions(prompt) {
+            const versions = this.getPromptVersions(prompt.file_path);
+            const otherVersions = versions.filter(version => version.revision_id !== prompt.revision_id);
+            const activeVersion = otherVersions.find(version => version.status === 'active');
+            const previousVersion = versions[versions.findIndex(version => version.revision_id === prompt.revision_id) - 1];
+            const baseVersion = activeVersion || previousVersion || otherVersions[0] || prompt;
+            
+            const viewModal = bootstrap.Modal.getInstance(document.getElementById('viewPromptModal'));
+            if (viewModal) {
+                viewModal.hide();
+            }
+            
+            this.openPromptDiff({
+                filePath: prompt.file_path,
+                oldSource: baseVersion.revision_id,
+                newSource: prompt.revision_id,
+                returnToEditor: false
+            });
+        },
+
+        // Compare the editor buffer with the saved copy before saving
+        reviewEditorChanges() {
+            this.handOffEditor();
+            
+            this.openPromptDiff({
+                filePath: this.selectedPrompt.file_path,
+                oldSource: this.editPromptData.revision_id,
+                newSource: EDITOR_DIFF_SOURCE,
+                returnToEditor: true
+            });
+        },
+
+        // Show the diff modal; reopen the editor afterwards when the diff came from it
+        openPromptDiff(promptDiff) {
+            this.promptDiff = promptDiff;
+            
+            const diffModalElement = document.getElementById('promptDiffModal');
+            setTimeout(() => {
+                bootstrap.Modal.getOrCreateInstance(diffModalElement).show();
+                
+                diffModalElement.addEventListener('hidden.bs.modal', () => {
+                    if (this.promptDiff?.returnToEditor) {
+                        bootstrap.Modal.getOrCreateInstance(document.getElementById('editPromptModal')).show();
+                    }
+                }, { once: true });
+            }, 300);
+        },
+
+        // Sources the diff modal can compare: every revision holding the file, plus the editor buffer
+        getDiffSources() {
+            if (!this.promptDiff) return [];
+            
+            const sources = this.getPromptVersions(this.promptDiff.filePath).map(version => ({
+                id: version.revision_id,
+                label: `${this.getRevisionName(version.revision_id)} (${version.status})`
+            }));
+            if (this.promptDiff.returnToEditor) {
+                sources.push({ id: EDITOR_DIFF_SOURCE, label: 'Editor (unsaved)' });
+            }
+            return sources;
+        },
+
+        // Text for a diff source
+        getDiffSourceText(source) {
+            if (source === EDITOR_DIFF_SOURCE) {
+                return this.editPromptData.content || '';
+            }
+            const version = this.prompts.find(prompt =>
+                prompt.file_path === this.promptDiff.filePath && prompt.revision_id === source);
+            return version?.content ? this.getPromptContent(version) : '';
+        },
+
+        // Swap the compared versions
+        swapDiffSources() {
+            const { oldSource, newSource } = this.promptDiff;
+            this.promptDiff.oldSource = newSource;
+            this.promptDiff.newSource = oldSource;
+        },
+
+        // Rendered diff table for the diff modal
+        renderPromptDiff() {
+            if (!this.promptDiff) return '';
+            
+            const oldText = this.getDiffSourceText(this.promptDiff.oldSource);
+            const newText = this.getDiffSourceText(this.promptDiff.newSource);
+            return this.diffLayout === 'side-by-side'
+                ? textDiff.renderSideBySide(oldText, newText)
+                : textDiff.renderUnified(oldText, newText);
+        },
+
+        // Added/removed line counts for the diff modal
+        getPromptDiffSummary() {
+            if (!this.promptDiff) return { added: 0, removed: 0, unchanged: 0 };
+            
+            return textDiff.summarize(textDiff.diffLines(
+                this.getDiffSourceText(this.promptDiff.oldSource),
+                this.getDiffSourceText(this.promptDiff.newSource)
+            ));
         },
 
         // Get full prompt content (returns actual API content with proper formatting)
@@ -483,6 +1409,7 @@ function managePromptsApp() {
             };
             
             console.log('Edit data initialized:', this.editPromptData);
+            this.startEditorSession();
             
             // Close view modal if open
             const viewModal = bootstrap.Modal.getInstance(document.getElementById('viewPromptModal'));
@@ -507,8 +1434,8 @@ function managePromptsApp() {
         formatPromptContent() {
             if (!this.editPromptData.content) return;
             
-            // Basic formatting - ensure proper line breaks and remove excessive whitespace
-            let formatted = this.editPromptData.content
+            // Basic formatting - ensure proper line breaks, remove excessive whitespace and normalize tag spacing
+            let formatted = jinjaTemplate.formatTags(this.editPromptData.content)
                 .replace(/\n\s*\n\s*\n/g, '\n\n') // Replace multiple empty lines with single
                 .replace(/^\s+|\s+$/g, '') // Trim start and end
                 .replace(/[ \t]+$/gm, ''); // Remove trailing spaces
@@ -555,45 +1482,126 @@ Assistant: [Sample response demonstrating the expected behavior]
             }
         },
 
-        // Preview prompt
+        // Open the render preview for the editor buffer
         previewPrompt() {
             if (!this.editPromptData.content) {
                 alert('No content to preview');
                 return;
             }
             
-            // Create a temporary prompt object for preview
-            const previewPrompt = {
-                ...this.selectedPrompt,
-                name: this.editPromptData.name,
-                file_path: `/prompts/${this.editPromptData.fileName}.jinja`,
-                revision_id: this.editPromptData.revision_id,
-                type: this.editPromptData.type,
-                size: this.editPromptData.content.length,
-                preview: this.editPromptData.content.substring(0, 200)
-            };
-            
-            // Update selectedPrompt temporarily for preview
-            const originalPrompt = this.selectedPrompt;
-            this.selectedPrompt = previewPrompt;
+            this.previewSnapshots = batchEvaluator.getSnapshots(this.workflowId);
+            this.previewVariablesJson = this.loadPreviewVariables() || JSON.stringify(this.getSchemaPreviewVariables(), null, 2);
+            this.updateRenderPreview();
             
-            // Close edit modal and show view modal
-            const editModal = bootstrap.Modal.getInstance(document.getElementById('editPromptModal'));
-            if (editModal) {
-                editModal.hide();
-            }
+            this.handOffEditor();
             
+            const previewModalElement = document.getElementById('renderPreviewModal');
             setTimeout(() => {
-                const viewModal = new bootstrap.Modal(document.getElementById('viewPromptModal'));
-                viewModal.show();
+                bootstrap.Modal.getOrCreateInstance(previewModalElement).show();
                 
-                // Restore original prompt when preview modal is closed
-                document.getElementById('viewPromptModal').addEventListener('hidden.bs.modal', () => {
-                    this.selectedPrompt = originalPrompt;
+                // Return to the editor when the preview is closed
+                previewModalElement.addEventListener('hidden.bs.modal', () => {
+                    this.savePreviewVariables();
+                    this.renderPreview = null;
+                    bootstrap.Modal.getOrCreateInstance(document.getElementById('editPromptModal')).show();
                 }, { once: true });
             }, 300);
         },
 
+        // Preview variables from the workflow schema, plus blanks for template variables the schema lacks
+        getSchemaPreviewVariables() {
+            const rootModel = this.workflowSchema?.schemas?.RootModel || this.workflowSchema;
+            const variables = rootModel ? (this.buildSchemaSample(rootModel) || {}) : {};
+            
+            this.templateAnalysis.variables.forEach(variable => {
+                if (!(variable.name in variables)) {
+                    variables[variable.name] = '';
+                }
+            });
+            return variables;
+        },
+
+        // Fill the variables panel from the schema
+        fillPreviewFromSchema() {
+            this.previewVariablesJson = JSON.stringify(this.getSchemaPreviewVariables(), null, 2);
+        },
+
+        // Fill the variables panel from a saved evaluation form snapshot
+        fillPreviewFromSnapshot(snapshotId) {
+            const snapshot = this.previewSnapshots.find(candidate => candidate.id === snapshotId);
+            if (!snapshot) return;
+            
+            // Drop client-side metadata keys (_workflow, _timestamp, ...)
+            const variables = {};
+            Object.entries(snapshot.inputs || {}).forEach(([key, value]) => {
+                if (!key.startsWith('_')) {
+                    variables[key] = value;
+                }
+            });
+            this.previewVariablesJson = JSON.stringify(variables, null, 2);
+        },
+
+        // Last preview variables used for this workflow
+        loadPreviewVariables() {
+            if (typeof Storage === 'undefined') {
+                return null;
+            }
+            try {
+                const all = JSON.parse(localStorage.getItem(this.previewStorageKey)) || {};
+                return all[this.workflowId] || null;
+            } catch (error) {
+                console.warn('Failed to load preview variables from localStorage:', error);
+                return null;
+            }
+        },
+
+        // Remember the preview variables for this workflow
+        savePreviewVariables() {
+            try {
+                const all = JSON.parse(localStorage.getItem(this.previewStorageKey)) || {};
+                all[this.workflowId] = this.previewVariablesJson;
+                localStorage.setItem(this.previewStorageKey, JSON.stringify(all));
+            } catch (error) {
+                console.warn('Failed to save preview variables to localStorage:', error);
+            }
+        },
+
+        // Render the editor buffer with the preview variables into renderPreview
+        updateRenderPreview() {
+            const { text, error } = this.renderEditorPreview();
+            const model = this.getPromptModel(this.selectedPrompt);
+            this.renderPreview = {
+                text,
+                error,
+                budget: tokenCounter.checkBudget(tokenCounter.estimate(text, model), model, null, this.contextBudgets)
+            };
+        },
+
+        // Render the editor buffer with the preview variables: { text, error }
+        renderEditorPreview() {
+            let variables;
+            try {
+                variables = JSON.parse(this.previewVariablesJson || '{}');
+            } catch (error) {
+                return { text: '', error: `Variables are not valid JSON: ${error.message}` };
+            }
+            
+            try {
+                const text = jinjaRenderer.render(this.editPromptData.content, variables, {
+                    // Includes resolve against prompt files in the same revision
+                    loadTemplate: (name) => {
+                        const included = this.prompts.find(prompt =>
+                            prompt.revision_id === this.editPromptData.revision_id &&
+                            (prompt.file_path === name || prompt.file_path.split('/').pop() === name.split('/').pop()));
+                        return included ? this.getPromptContent(included) : null;
+                    }
+                });
+                return { text, error: null };
+            } catch (error) {
+                return { text: '', error: error.message };
+            }
+        },
+
         // Save prompt changes
         async savePromptChanges() {
             if (!this.isContentValid) {
@@ -601,6 +1609,16 @@ Assistant: [Sample response demonstrating the expected behavior]
                 return;
             }
             
+            // Template problems break the workflow at render time - make saving them a deliberate choice
+            const analysis = this.templateAnalysis;
+            const problems = [...analysis.errors, ...analysis.warnings];
+            if (problems.length > 0) {
+                const details = problems.slice(0, 10).map(problem => `Line ${problem.line}: ${problem.message}`).join('\n');
+                if (!confirm(`This template has ${problems.length} problem(s):\n\n${details}\n\nSave anyway?`)) {
+                    return;
+                }
+            }
+            
             try {
                 console.log('Saving prompt changes:', this.editPromptData);
                 
@@ -624,24 +1642,47 @@ Assistant: [Sample response demonstrating the expected behavior]
                 console.log('Filename:', filename);
                 console.log('Is new prompt:', isNewPrompt);
                 
+                // Someone else may have saved this prompt since it was loaded - merge instead of overwriting
+                const existingPrompt = isNewPrompt ? null : this.prompts[existingPromptIndex];
+                const checkConflict = existingPrompt && existingPrompt.file_path === filename && existingPrompt.status !== 'error';
+                if (checkConflict) {
+                    const latest = await this.findSaveConflict(existingPrompt);
+                    if (latest) {
+                        this.openMergeConflict(existingPrompt, latest);
+                        return;
+                    }
+                }
+                
                 const requestBody = {
                     content: this.editPromptData.content,
-                    name: this.editPromptData.name
+                    name: this.editPromptData.name,
+                    base_hash: checkConflict ? this.hashContent(existingPrompt.content) : null
                 };
                 
                 console.log('Request body:', requestBody);
                 
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                };
+                if (checkConflict && existingPrompt.etag) {
+                    headers['If-Match'] = existingPrompt.etag;
+                }
+                
                 const response = await fetch(url, {
                     method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
+                    headers,
                     body: JSON.stringify(requestBody)
                 });
                 
                 console.log('Response status:', response.status);
                 
+                // The backend rejected a stale base (saved in between the check and this request)
+                if (checkConflict && (response.status === 409 || response.status === 412)) {
+                    this.openMergeConflict(existingPrompt, await this.loadPromptContent(existingPrompt.revision_id, existingPrompt.file_path));
+                    return;
+                }
+                
                 if (!response.ok) {
                     const errorText = await response.text();
                     console.error('Error response:', errorText);
@@ -658,14 +1699,15 @@ Assistant: [Sample response demonstrating the expected behavior]
                         id: this.editPromptData.id,
                         name: this.editPromptData.name,
                         revision_id: this.editPromptData.revision_id,
-                        status: 'active',
+                        status: this.revisions.find(revision => revision.id === this.editPromptData.revision_id)?.status || 'draft',
                         last_modified: new Date().toISOString().split('T')[0],
                         author: 'Current User',
                         size: this.editPromptData.content.length,
                         preview: this.cleanPreviewText(this.editPromptData.content),
                         file_path: filename,
                         type: 'system',
-                        content: this.editPromptData.content
+                        content: this.editPromptData.content,
+                        etag: response.headers.get('ETag')
                     };
                     
                     this.prompts.push(newPrompt);
@@ -680,13 +1722,19 @@ Assistant: [Sample response demonstrating the expected behavior]
                         size: this.editPromptData.content.length,
                         preview: this.cleanPreviewText(this.editPromptData.content),
                         content: this.editPromptData.content,
+                        etag: response.headers.get('ETag'),
                         last_modified: new Date().toISOString().split('T')[0]
                     };
                     console.log('Updated existing prompt at index:', existingPromptIndex);
                 }
                 
                 this.filterPrompts();
-                this.lastSavedTime = new Date().toLocaleTimeString();
+                this.lastSavedTime.server = new Date().toLocaleTimeString();
+                
+                // Saved to the backend - the local draft is no longer needed
+                this.removeDraft(this.draftKey);
+                this.editorBaseline = this.getEditorSnapshot();
+                this.lastSavedTime.draft = null;
                 
                 // Close edit modal
                 const editModal = bootstrap.Modal.getInstance(document.getElementById('editPromptModal'));
@@ -703,44 +1751,94 @@ Assistant: [Sample response demonstrating the expected behavior]
             }
         },
 
-        // Duplicate prompt
-        async duplicatePrompt(prompt) {
-            console.log('Duplicating prompt:', prompt.id);
+        // Open the duplicate modal: the copy gets a chosen file name in a chosen revision
+        duplicatePrompt(prompt) {
+            const stem = prompt.file_path.split('/').pop().replace(/\.[^.]+$/, '');
+            const draftRevision = this.revisions.find(revision => revision.id === prompt.revision_id && revision.status === 'draft') ||
+                this.revisions.slice().reverse().find(revision => revision.status === 'draft');
+            
+            this.duplicateData = {
+                source: prompt,
+                revisionId: draftRevision?.id || prompt.revision_id,
+                fileName: `${stem}_copy`
+            };
+            
+            const modal = new bootstrap.Modal(document.getElementById('duplicatePromptModal'));
+            modal.show();
+        },
+
+        // Validation message for the duplicate modal (null when valid)
+        getDuplicateError() {
+            if (!this.duplicateData) return null;
             
+            const fileName = this.getDuplicateFileName();
+            if (!/^[\w.-]+\.jinja$/.test(fileName)) {
+                return 'File names may only contain letters, numbers, dots, dashes and underscores';
+            }
+            if (this.prompts.some(prompt => prompt.revision_id === this.duplicateData.revisionId && prompt.file_path === fileName)) {
+                return `${fileName} already exists in ${this.getRevisionName(this.duplicateData.revisionId)}`;
+            }
+            return null;
+        },
+
+        // Target file name of the duplicate, with the .jinja extension
+        getDuplicateFileName() {
+            const fileName = (this.duplicateData?.fileName || '').trim();
+            return fileName.endsWith('.jinja') ? fileName : `${fileName}.jinja`;
+        },
+
+        // Duplicate a prompt on the backend
+        async confirmDuplicatePrompt() {
+            const error = this.getDuplicateError();
+            if (error) {
+                alert(error);
+                return;
+            }
+            
+            const { source, revisionId } = this.duplicateData;
+            const fileName = this.getDuplicateFileName();
+            
+            this.duplicating = true;
             try {
-                // TODO: Replace with actual API call
-                /*
-                const response = await fetch(`${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.duplicatePrompt.replace('{promptId}', prompt.id)}`, {
+                const url = this.getPromptUrl(PROMPTS_API_CONFIG.endpoints.duplicatePrompt, source);
+                const response = await fetch(url, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' }
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        target_revision_id: revisionId,
+                        target_filename: fileName
+                    })
                 });
                 
                 if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    const errorText = await response.text();
+                    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
                 }
                 
-                const duplicatedPrompt = await response.json();
-                this.prompts.push(duplicatedPrompt);
-                this.filterPrompts();
-                */
-                
-                // Simulate duplication for demo
-                const duplicatedPrompt = {
-                    ...prompt,
-                    id: `${prompt.id}-copy-${Date.now()}`,
-                    name: `${prompt.name} (Copy)`,
-                    status: 'draft',
-                    last_modified: new Date().toISOString().split('T')[0],
-                    author: 'Current User'
-                };
+                const revision = this.revisions.find(candidate => candidate.id === revisionId);
+                const duplicatedPrompt = this.createPromptEntry(revision, {
+                    name: fileName,
+                    author: 'Current User',
+                    last_modified: new Date().toISOString().split('T')[0]
+                }, source.content || '');
                 
                 this.prompts.push(duplicatedPrompt);
                 this.filterPrompts();
                 
-                alert(`Prompt duplicated successfully: ${duplicatedPrompt.name}`);
+                const modal = bootstrap.Modal.getInstance(document.getElementById('duplicatePromptModal'));
+                if (modal) {
+                    modal.hide();
+                }
+                
+                alert(`Prompt duplicated as ${fileName} in ${this.getRevisionName(revisionId)}`);
             } catch (error) {
                 console.error('Error duplicating prompt:', error);
-                alert('Error duplicating prompt. Please try again.');
+                alert(`Error duplicating prompt: ${error.message}`);
+            } finally {
+                this.duplicating = false;
             }
         },
 
@@ -748,50 +1846,268 @@ Assistant: [Sample response demonstrating the expected behavior]
         downloadPrompt(prompt) {
             console.log('Downloading prompt:', prompt.id);
             
-            // Create a downloadable text file
-            const content = `Prompt Name: ${prompt.name}\nRevision: ${this.getRevisionName(prompt.revision_id)}\nAuthor: ${prompt.author}\nLast Modified: ${prompt.last_modified}\n\nContent:\n${prompt.preview}...`;
-            
-            const blob = new Blob([content], { type: 'text/plain' });
+            // Download the template exactly as stored, under its own file name
+            const blob = new Blob([prompt.content || ''], { type: 'text/plain' });
+            this.downloadFile(blob, promptArchive.getEntryPath(prompt.file_path).split('/').pop());
+        },
+
+        // Save a blob through a temporary link
+        downloadFile(blob, fileName) {
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `${prompt.name.replace(/\s+/g, '_')}.txt`;
+            a.download = fileName;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             window.URL.revokeObjectURL(url);
         },
 
-        // Delete prompt
-        async deletePrompt(prompt) {
-            if (!confirm(`Are you sure you want to delete "${prompt.name}"? This action cannot be undone.`)) {
+        // Export every prompt of a revision as a zip of .jinja files plus manifest.json
+        // (raw content, so an export imported back is byte-for-byte the same)
+        async exportRevision(revision) {
+            const revisionPrompts = this.prompts
+                .filter(prompt => prompt.revision_id === revision.id && prompt.status !== 'error');
+            // Paths an import would refuse are left out, so every exported archive can be imported back
+            const prompts = revisionPrompts.filter(prompt => promptArchive.isValidEntryPath(promptArchive.getEntryPath(prompt.file_path)));
+            const skipped = revisionPrompts.filter(prompt => !prompts.includes(prompt));
+            
+            if (prompts.length === 0) {
+                alert(`${revision.name} has no prompts to export`);
+                return;
+            }
+            if (skipped.length > 0 && !confirm(`${skipped.length} prompt(s) have file paths that cannot be imported and will be left out:\n${skipped.map(prompt => prompt.file_path).join('\n')}\n\nExport the rest?`)) {
                 return;
             }
             
-            console.log('Deleting prompt:', prompt.id);
-            
+            this.exportingRevision = true;
             try {
-                // TODO: Replace with actual API call
-                /*
-                const response = await fetch(`${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.deletePrompt.replace('{promptId}', prompt.id)}`, {
-                    method: 'DELETE'
+                const blob = await promptArchive.exportRevision({
+                    workflowId: this.workflowId,
+                    workflowName: this.workflowName,
+                    revision,
+                    prompts
                 });
+                this.downloadFile(blob, `${this.workflowId}_${revision.id}.zip`.replace(/[^\w.-]+/g, '_'));
+            } catch (error) {
+                console.error('Error exporting revision:', error);
+                alert(`Error exporting revision: ${error.message}`);
+            } finally {
+                this.exportingRevision = false;
+            }
+        },
+
+        // Open the import archive modal for a draft revision
+        openImportArchive(revision) {
+            if (revision.status !== 'draft') {
+                alert('Prompts can only be imported into a draft revision');
+                return;
+            }
+            
+            this.archiveImport = {
+                revision,
+                fileName: '',
+                manifest: null,
+                entries: [],
+                warnings: []
+            };
+            
+            const modal = new bootstrap.Modal(document.getElementById('importArchiveModal'));
+            modal.show();
+        },
+
+        // Read the chosen archive and classify each file against the target revision
+        async handleArchiveFile(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            try {
+                const { manifest, entries, warnings } = await promptArchive.readArchive(file);
+                const revisionId = this.archiveImport.revision.id;
                 
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                this.archiveImport.fileName = file.name;
+                this.archiveImport.manifest = manifest;
+                this.archiveImport.warnings = warnings;
+                this.archiveImport.entries = entries.map(entry => {
+                    const existing = this.prompts.find(prompt =>
+                        prompt.revision_id === revisionId && promptArchive.getEntryPath(prompt.file_path) === entry.file);
+                    const action = !existing ? 'create' : ((existing.content || '') === entry.content ? 'unchanged' : 'overwrite');
+                    return {
+                        ...entry,
+                        existing,
+                        action,
+                        selected: action !== 'unchanged',
+                        expanded: false
+                    };
+                });
+            } catch (error) {
+                console.error('Error reading archive:', error);
+                alert(`Error reading archive: ${error.message}`);
+                this.archiveImport.entries = [];
+            }
+        },
+
+        // Badge class for an import action
+        getImportActionClass(action) {
+            const actionClasses = {
+                'create': 'bg-success',
+                'overwrite': 'bg-warning text-dark',
+                'unchanged': 'bg-secondary'
+            };
+            return actionClasses[action] || 'bg-secondary';
+        },
+
+        // Preview of an overwrite: the existing prompt against the archive copy
+        renderImportDiff(entry) {
+            return textDiff.renderUnified(entry.existing.content || '', entry.content);
+        },
+
+        // Files ticked for import
+        getSelectedImportEntries() {
+            return (this.archiveImport?.entries || []).filter(entry => entry.selected);
+        },
+
+        // Write the selected files into the target revision
+        async confirmArchiveImport() {
+            const entries = this.getSelectedImportEntries();
+            const revision = this.archiveImport.revision;
+            const overwrites = entries.filter(entry => entry.action === 'overwrite').length;
+            
+            if (overwrites > 0 && !confirm(`${overwrites} existing prompt(s) in ${revision.name} will be overwritten. Continue?`)) {
+                return;
+            }
+            
+            this.importing = true;
+            const failures = [];
+            
+            for (const entry of entries) {
+                try {
+                    // Entry names come from the zip; never let one address another path
+                    if (!promptArchive.isValidEntryPath(entry.file)) {
+                        throw new Error('invalid file name');
+                    }
+                    const url = `${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.promptUpdate}/${encodeURIComponent(revision.id)}/${promptArchive.encodeEntryPath(entry.file)}`;
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        },
+                        body: JSON.stringify({
+                            content: entry.content,
+                            name: entry.name || this.formatPromptName(entry.file.split('/').pop())
+                        })
+                    });
+                    
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+                    }
+                } catch (error) {
+                    console.error(`Error importing ${entry.file}:`, error);
+                    failures.push(`${entry.file}: ${error.message}`);
                 }
-                */
-                
-                // Simulate deletion for demo
-                const index = this.prompts.findIndex(p => p.id === prompt.id);
-                if (index > -1) {
-                    this.prompts.splice(index, 1);
-                    this.filterPrompts();
-                    alert(`Prompt "${prompt.name}" has been deleted.`);
+            }
+            
+            this.importing = false;
+            await this.loadWorkflowData();
+            this.filterPrompts();
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('importArchiveModal'));
+            if (modal) {
+                modal.hide();
+            }
+            
+            const imported = entries.length - failures.length;
+            alert(failures.length
+                ? `Imported ${imported} of ${entries.length} prompt(s) into ${revision.name}.\n\nFailed:\n${failures.join('\n')}`
+                : `Imported ${imported} prompt(s) into ${revision.name}`);
+        },
+
+        // Backend URL for a prompt endpoint, addressing the prompt by revision id and file name
+        getPromptUrl(endpoint, prompt) {
+            return `${PROMPTS_API_CONFIG.baseUrl}${endpoint
+                .replace('{revisionId}', encodeURIComponent(prompt.revision_id))
+                .replace('{fileName}', encodeURIComponent(promptArchive.getEntryPath(prompt.file_path)))}`;
+        },
+
+        // Whether a loaded prompt is waiting in the session trash
+        isTrashed(prompt) {
+            return this.trash.some(entry => entry.prompt.revision_id === prompt.revision_id && entry.prompt.file_path === prompt.file_path);
+        },
+
+        // Delete prompt (soft delete: it moves to the session trash and is deleted on the backend when the trash is emptied)
+        deletePrompt(prompt) {
+            const revision = this.revisions.find(candidate => candidate.id === prompt.revision_id);
+            if (revision?.status === 'active') {
+                alert(`"${prompt.name}" belongs to the active revision and cannot be deleted. Create a draft revision to change it.`);
+                return;
+            }
+            if (!confirm(`Move "${prompt.name}" to the trash? It is deleted for good when you empty the trash.`)) {
+                return;
+            }
+            
+            console.log('Moving prompt to trash:', prompt.id);
+            
+            const index = this.prompts.findIndex(p => p.id === prompt.id);
+            if (index > -1) {
+                this.prompts.splice(index, 1);
+            }
+            this.trash.unshift({ prompt, deletedAt: new Date().toLocaleTimeString() });
+            this.filterPrompts();
+        },
+
+        // Open the session trash
+        openTrash() {
+            const modal = new bootstrap.Modal(document.getElementById('trashModal'));
+            modal.show();
+        },
+
+        // Take a prompt back out of the trash (it was never deleted on the backend)
+        restorePrompt(entry) {
+            const { prompt } = entry;
+            
+            if (this.prompts.some(existing => existing.revision_id === prompt.revision_id && existing.file_path === prompt.file_path)) {
+                alert(`${prompt.file_path} already exists again in ${this.getRevisionName(prompt.revision_id)}`);
+                return;
+            }
+            
+            this.prompts.push(prompt);
+            this.trash = this.trash.filter(item => item !== entry);
+            this.filterPrompts();
+        },
+
+        // Delete every prompt in the trash on the backend
+        async emptyTrash() {
+            if (!confirm(`Permanently delete ${this.trash.length} prompt(s)? This cannot be undone.`)) {
+                return;
+            }
+            
+            this.emptyingTrash = true;
+            const failures = [];
+            
+            for (const entry of [...this.trash]) {
+                try {
+                    const response = await fetch(this.getPromptUrl(PROMPTS_API_CONFIG.endpoints.deletePrompt, entry.prompt), {
+                        method: 'DELETE',
+                        headers: { 'Accept': 'application/json' }
+                    });
+                    
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+                    }
+                    
+                    this.trash = this.trash.filter(item => item !== entry);
+                } catch (error) {
+                    console.error(`Error deleting ${entry.prompt.file_path}:`, error);
+                    failures.push(`${entry.prompt.file_path}: ${error.message}`);
                 }
-            } catch (error) {
-                console.error('Error deleting prompt:', error);
-                alert('Error deleting prompt. Please try again.');
+            }
+            
+            this.emptyingTrash = false;
+            if (failures.length > 0) {
+                alert(`Some prompts could not be deleted and are still in the trash:\n${failures.join('\n')}`);
             }
         },
 
@@ -828,6 +2144,7 @@ Assistant: [Sample response demonstrating the expected behavior]
                 revision_id: defaultRevision,
                 content: ''
             };
+            this.startEditorSession();
             
             // Show edit modal for new prompt
             const editModal = new bootstrap.Modal(document.getElementById('editPromptModal'));
@@ -0,0 +1,151 @@
+/**
+ * Prompt Archive
+ * Packs a revision's prompts into a zip of .jinja files plus a manifest, and reads such archives back
+ * Relies on JSZip (loaded from the CDN by the page)
+ */
+
+const ARCHIVE_MANIFEST_FILENAME = 'manifest.json';
+const ARCHIVE_FORMAT_VERSION = 1;
+// Each folder or file name in an entry path; "." and ".." segments are refused separately
+const ARCHIVE_SEGMENT_PATTERN = /^[\w .-]+$/;
+
+class PromptArchive {
+    /**
+     * Hex SHA-256 of a text (UTF-8)
+     */
+    async hash(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Path of a prompt inside the archive (no leading slash)
+     */
+    getEntryPath(filePath) {
+        return (filePath || '').replace(/^\/+/, '');
+    }
+
+    /**
+     * Whether an archive path is a safe relative .jinja path (no leading "/", no "." or ".." segments)
+     */
+    isValidEntryPath(path) {
+        return typeof path === 'string' && path.endsWith('.jinja') &&
+            path.split('/').every(segment => ARCHIVE_SEGMENT_PATTERN.test(segment) && segment !== '.' && segment !== '..');
+    }
+
+    /**
+     * Entry path with each segment URL-encoded, for backend URLs
+     */
+    encodeEntryPath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Build the archive for a revision
+     * prompts: [{ file_path, name, type, author, last_modified, content }]
+     * Returns a zip Blob
+     */
+    async exportRevision({ workflowId, workflowName, revision, prompts }) {
+        const zip = new JSZip();
+        const entries = [];
+
+        for (const prompt of prompts) {
+            const path = this.getEntryPath(prompt.file_path);
+            const content = prompt.content || '';
+            zip.file(path, content);
+            entries.push({
+                file: path,
+                name: prompt.name,
+                type: prompt.type,
+                author: prompt.author,
+                last_modified: prompt.last_modified,
+                size: content.length,
+                sha256: await this.hash(content)
+            });
+        }
+
+        const manifest = {
+            format_version: ARCHIVE_FORMAT_VERSION,
+            workflow_id: workflowId,
+            workflow_name: workflowName,
+            revision_id: revision.id,
+            revision_name: revision.name,
+            revision_status: revision.status,
+            exported_at: new Date().toISOString(),
+            prompts: entries
+        };
+        zip.file(ARCHIVE_MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Read an archive file
+     * Returns { manifest, entries: [{ file, name, type, content, hash, hashMismatch }], warnings: [] }
+     */
+    async readArchive(file) {
+        const zip = await JSZip.loadAsync(file);
+        const warnings = [];
+
+        let manifest = null;
+        const manifestFile = zip.file(ARCHIVE_MANIFEST_FILENAME);
+        if (manifestFile) {
+            try {
+                manifest = JSON.parse(await manifestFile.async('string'));
+            } catch (error) {
+                warnings.push(`${ARCHIVE_MANIFEST_FILENAME} is not valid JSON - names and types are derived from file names`);
+            }
+        } else {
+            warnings.push(`No ${ARCHIVE_MANIFEST_FILENAME} in the archive - names and types are derived from file names`);
+        }
+
+        const manifestEntries = {};
+        (manifest?.prompts || []).forEach(entry => {
+            manifestEntries[this.getEntryPath(entry.file)] = entry;
+        });
+
+        const entries = [];
+        const templateFiles = Object.values(zip.files)
+            .filter(zipEntry => !zipEntry.dir && zipEntry.name.endsWith('.jinja') && !zipEntry.name.startsWith('__MACOSX/'))
+            .filter(zipEntry => {
+                if (!this.isValidEntryPath(zipEntry.name)) {
+                    warnings.push(`${zipEntry.name} was skipped - prompt paths may only contain letters, numbers, spaces, dots, dashes, underscores and folders (no "..")`);
+                    return false;
+                }
+                return true;
+            });
+
+        for (const zipEntry of templateFiles) {
+            const content = await zipEntry.async('string');
+            const hash = await this.hash(content);
+            const manifestEntry = manifestEntries[zipEntry.name] || {};
+            entries.push({
+                file: zipEntry.name,
+                name: manifestEntry.name || null,
+                type: manifestEntry.type || null,
+                author: manifestEntry.author || null,
+                content,
+                hash,
+                // The file was edited after export (or the archive is damaged)
+                hashMismatch: Boolean(manifestEntry.sha256) && manifestEntry.sha256 !== hash
+            });
+        }
+
+        Object.keys(manifestEntries)
+            .filter(path => this.isValidEntryPath(path) && !entries.some(entry => entry.file === path))
+            .forEach(path => warnings.push(`${path} is listed in the manifest but missing from the archive`));
+
+        if (entries.length === 0) {
+            warnings.push('The archive contains no .jinja files');
+        }
+
+        entries.sort((a, b) => a.file.localeCompare(b.file));
+        return { manifest, entries, warnings };
+    }
+}
+
+// Global instance for easy access
+window.promptArchive = new PromptArchive();
+
+// Export for use in other modules
+window.PromptArchive = PromptArchive;
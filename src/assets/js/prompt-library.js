@@ -0,0 +1,300 @@
+// Prompt Library JavaScript with Alpine.js
+// Indexes the prompt files of every workflow so prompts can be found and reused across workflows
+
+// API Configuration
+const LIBRARY_API_CONFIG = {
+    baseUrl: 'http://localhost:8000',
+    endpoints: {
+        workflowsList: '/api/v1/workflows/list',
+        promptView: '/api/v1/prompts/view', // Base endpoint for viewing prompts
+        promptUpdate: '/api/v1/prompts/update', // Base endpoint for creating/updating prompts
+        getRevisions: '/api/v1/workflows/{workflowId}/revisions'
+    }
+};
+
+// Prompt contents fetched at once while indexing
+const LIBRARY_FETCH_CONCURRENCY = 6;
+
+function promptLibraryApp() {
+    return {
+        // State
+        loading: true,
+        loadedCount: 0,
+        totalCount: 0,
+        workflows: [], // [{ id, name, revisionId, promptFiles }]
+        entries: [], // [{ id, workflowId, workflowName, revisionId, file, name, content, error }]
+        filteredEntries: [],
+        search: { query: '', regex: false, caseSensitive: false },
+        workflowFilter: '',
+        selectedEntry: null, // For the view modal
+        copyData: null, // { entry, workflowId, revisions, revisionId, fileName, loadingRevisions } for the copy modal
+        copying: false,
+
+        // Initialize the library
+        async init() {
+            await this.loadLibrary();
+            this.filterEntries();
+        },
+
+        // Load every workflow's prompt files and their contents
+        async loadLibrary() {
+            this.loading = true;
+            try {
+                const response = await fetch(`${LIBRARY_API_CONFIG.baseUrl}${LIBRARY_API_CONFIG.endpoints.workflowsList}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                this.workflows = (data.workflows || []).map(workflow => ({
+                    id: workflow.workflow,
+                    name: this.formatWorkflowName(workflow.workflow),
+                    revisionId: workflow.revision_id,
+                    promptFiles: workflow.prompt_files || []
+                }));
+
+                const pending = this.workflows.flatMap(workflow => workflow.promptFiles.map(file => ({ workflow, file })));
+                this.totalCount = pending.length;
+                this.loadedCount = 0;
+
+                // Fetch contents with a small pool so dozens of workflows do not flood the backend
+                const entries = [];
+                const worker = async () => {
+                    while (pending.length > 0) {
+                        const { workflow, file } = pending.shift();
+                        entries.push(await this.loadEntry(workflow, file));
+                        this.loadedCount++;
+                    }
+                };
+                await Promise.all(Array.from({ length: LIBRARY_FETCH_CONCURRENCY }, worker));
+
+                this.entries = entries.sort((a, b) =>
+                    a.workflowName.localeCompare(b.workflowName) || a.file.localeCompare(b.file));
+            } catch (error) {
+                console.error('Error loading prompt library:', error);
+                this.workflows = [];
+                this.entries = [];
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // Load one prompt file into a library entry
+        async loadEntry(workflow, file) {
+            const entry = {
+                id: `${workflow.id}/${workflow.revisionId}/${file}`,
+                workflowId: workflow.id,
+                workflowName: workflow.name,
+                revisionId: workflow.revisionId,
+                file,
+                name: this.formatPromptName(file),
+                content: '',
+                error: null
+            };
+
+            try {
+                const url = `${LIBRARY_API_CONFIG.baseUrl}${LIBRARY_API_CONFIG.endpoints.promptView}/${workflow.revisionId}/${file}`;
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                entry.content = await response.text();
+            } catch (error) {
+                console.warn(`Failed to load ${workflow.id}/${file}:`, error.message);
+                entry.error = error.message;
+            }
+            return entry;
+        },
+
+        // Format workflow name for display (see PromptNames)
+        formatWorkflowName(workflowId) {
+            return promptNames.formatWorkflowName(workflowId);
+        },
+
+        // Format prompt name from filename (see PromptNames)
+        formatPromptName(filename) {
+            return promptNames.formatPromptName(filename);
+        },
+
+        // Compiled search query: { pattern, error }
+        get searchPattern() {
+            return promptSearch.compile(this.search.query.trim() && this.search.query, this.search);
+        },
+
+        // Apply the search and workflow filter
+        filterEntries() {
+            const pattern = this.searchPattern.pattern;
+            this.filteredEntries = this.entries.filter(entry =>
+                (!this.workflowFilter || entry.workflowId === this.workflowFilter) &&
+                (!pattern || this.getMatchCount(entry) > 0)
+            );
+        },
+
+        // Matches in an entry's name, file name and content
+        getMatchCount(entry) {
+            const pattern = this.searchPattern.pattern;
+            return promptSearch.findMatches(entry.name, pattern).length +
+                promptSearch.findMatches(entry.file, pattern).length +
+                promptSearch.findMatches(entry.content, pattern).length;
+        },
+
+        // Text with the current search matches highlighted (escaped HTML)
+        highlightSearch(text) {
+            return promptSearch.highlight(text, this.searchPattern.pattern);
+        },
+
+        // Highlighted content excerpts, or the start of the prompt when not searching
+        getSnippets(entry) {
+            if (this.searchPattern.pattern) {
+                return promptSearch.getSnippets(entry.content, this.searchPattern.pattern);
+            }
+            const preview = entry.content.replace(/\s+/g, ' ').trim();
+            return [{ line: 1, html: promptSearch.escapeHtml(preview.length > 160 ? preview.substring(0, 160) + '...' : preview) }];
+        },
+
+        // Other workflows holding a prompt with exactly the same content
+        getIdenticalWorkflows(entry) {
+            return [...new Set(this.entries
+                .filter(other => other.id !== entry.id && other.workflowId !== entry.workflowId && other.content && other.content === entry.content)
+                .map(other => other.workflowName))];
+        },
+
+        // Open the view modal
+        viewEntry(entry) {
+            this.selectedEntry = entry;
+            const modal = new bootstrap.Modal(document.getElementById('libraryPromptModal'));
+            modal.show();
+        },
+
+        // Open the copy modal for an entry
+        openCopy(entry) {
+            this.copyData = {
+                entry,
+                workflowId: this.workflows.find(workflow => workflow.id !== entry.workflowId)?.id || '',
+                revisions: [],
+                revisionId: '',
+                fileName: entry.file,
+                loadingRevisions: false
+            };
+
+            const viewModal = bootstrap.Modal.getInstance(document.getElementById('libraryPromptModal'));
+            if (viewModal) {
+                viewModal.hide();
+            }
+
+            const modal = new bootstrap.Modal(document.getElementById('copyPromptModal'));
+            modal.show();
+            this.loadTargetRevisions();
+        },
+
+        // Draft revisions of the copy target workflow
+        async loadTargetRevisions() {
+            const copyData = this.copyData;
+            copyData.revisions = [];
+            copyData.revisionId = '';
+            if (!copyData.workflowId) return;
+
+            copyData.loadingRevisions = true;
+            try {
+                const url = `${LIBRARY_API_CONFIG.baseUrl}${LIBRARY_API_CONFIG.endpoints.getRevisions.replace('{workflowId}', encodeURIComponent(copyData.workflowId))}`;
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                copyData.revisions = (Array.isArray(data) ? data : (data.revisions || []))
+                    .filter(revision => (revision.status || 'draft') === 'draft')
+                    .map(revision => ({
+                        id: revision.revision_id || revision.id,
+                        name: revision.name || revision.revision_id || revision.id,
+                        files: (revision.files || revision.prompt_files || []).map(file => (typeof file === 'string' ? file : file.name || file.filename))
+                    }));
+                copyData.revisionId = copyData.revisions[copyData.revisions.length - 1]?.id || '';
+            } catch (error) {
+                console.error('Error loading target revisions:', error);
+            } finally {
+                copyData.loadingRevisions = false;
+            }
+        },
+
+        // Target file name with the .jinja extension
+        getCopyFileName() {
+            const fileName = (this.copyData?.fileName || '').trim();
+            return fileName.endsWith('.jinja') ? fileName : `${fileName}.jinja`;
+        },
+
+        // Whether the copy would replace a prompt in the target revision
+        isCopyOverwrite() {
+            const revision = this.copyData?.revisions.find(candidate => candidate.id === this.copyData.revisionId);
+            return Boolean(revision?.files.includes(this.getCopyFileName()));
+        },
+
+        // Validation error for the copy modal (null when valid)
+        getCopyError() {
+            if (!this.copyData) return null;
+            if (!this.copyData.workflowId) return 'Choose a target workflow';
+            if (!this.copyData.revisionId) return 'The target workflow has no draft revision - create one in Manage Prompts first';
+            if (!/^[\w.-]+$/.test(this.getCopyFileName())) return 'File names may only contain letters, numbers, dots, dashes and underscores';
+            return null;
+        },
+
+        // Write the prompt into the target workflow's draft revision
+        async confirmCopy() {
+            const error = this.getCopyError();
+            if (error) {
+                alert(error);
+                return;
+            }
+            if (this.isCopyOverwrite() && !confirm(`${this.getCopyFileName()} already exists in the target revision. Overwrite it?`)) {
+                return;
+            }
+
+            const { entry, workflowId, revisionId } = this.copyData;
+            const fileName = this.getCopyFileName();
+
+            this.copying = true;
+            try {
+                const url = `${LIBRARY_API_CONFIG.baseUrl}${LIBRARY_API_CONFIG.endpoints.promptUpdate}/${revisionId}/${fileName}`;
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        content: entry.content,
+                        name: this.formatPromptName(fileName)
+                    })
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+                }
+
+                const modal = bootstrap.Modal.getInstance(document.getElementById('copyPromptModal'));
+                if (modal) {
+                    modal.hide();
+                }
+
+                if (confirm(`Copied to ${this.formatWorkflowName(workflowId)} (${revisionId}) as ${fileName}. Open it in Manage Prompts?`)) {
+                    window.location.href = `manage-prompts.html?id=${encodeURIComponent(workflowId)}`;
+                }
+            } catch (error) {
+                console.error('Error copying prompt:', error);
+                alert(`Error copying prompt: ${error.message}`);
+            } finally {
+                this.copying = false;
+            }
+        },
+
+        // Open the source workflow's prompt manager
+        openInManager(entry) {
+            window.location.href = `manage-prompts.html?id=${encodeURIComponent(entry.workflowId)}`;
+        }
+    };
+}
+
+// Export for use in HTML
+window.promptLibraryApp = promptLibraryApp;
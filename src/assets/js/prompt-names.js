@@ -0,0 +1,35 @@
+/**
+ * Prompt Names
+ * Display names for workflow ids and prompt file names, shared by the prompt pages
+ */
+
+class PromptNames {
+    /**
+     * Workflow id to display name, e.g. "bike_insights" -> "Bike Insights"
+     */
+    formatWorkflowName(workflowId) {
+        return workflowId
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Prompt file name to display name, e.g. "summary_agent_prompt.jinja" -> "Summary"
+     */
+    formatPromptName(filename) {
+        return filename
+            .replace(/\.[^/.]+$/, '') // Remove extension
+            .replace(/[_-]/g, ' ') // Replace underscores and dashes with spaces
+            .replace(/\b(agent|prompt|prompts)\b/gi, '') // Remove "Agent", "Prompt", "Prompts" (case insensitive)
+            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+            .trim() // Remove leading/trailing spaces
+            .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize first letter of each word
+    }
+}
+
+// Global instance for easy access
+window.promptNames = new PromptNames();
+
+// Export for use in other modules
+window.PromptNames = PromptNames;
@@ -0,0 +1,116 @@
+/**
+ * Prompt Search
+ * Plain-text or regex matching over prompt text, with highlighting and match snippets
+ */
+
+class PromptSearch {
+    constructor() {
+        // Configuration
+        this.snippetContext = 40; // Characters shown around a match in snippets
+        this.maxSnippets = 3;
+    }
+
+    /**
+     * Compile a query into a global RegExp
+     * Returns { pattern, error } - pattern is null for an empty or invalid query
+     */
+    compile(query, { regex = false, caseSensitive = false } = {}) {
+        if (!query) {
+            return { pattern: null, error: null };
+        }
+        const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            return { pattern: new RegExp(source, caseSensitive ? 'g' : 'gi'), error: null };
+        } catch (error) {
+            return { pattern: null, error: error.message };
+        }
+    }
+
+    /**
+     * Match ranges in a text: [{ start, end }]
+     * Empty matches (e.g. from "a*") are skipped so they cannot loop forever
+     */
+    findMatches(text, pattern) {
+        const matches = [];
+        if (!text || !pattern) {
+            return matches;
+        }
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+        return matches;
+    }
+
+    /**
+     * Whether a text contains a match
+     */
+    test(text, pattern) {
+        return this.findMatches(text, pattern).length > 0;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escaped HTML of a text with every match wrapped in <mark>
+     */
+    highlight(text, pattern) {
+        const source = text || '';
+        const matches = this.findMatches(source, pattern);
+        let html = '';
+        let position = 0;
+        matches.forEach(({ start, end }) => {
+            html += this.escapeHtml(source.slice(position, start));
+            html += `<mark class="search-match">${this.escapeHtml(source.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(source.slice(position));
+    }
+
+    /**
+     * Highlighted excerpts around the first matches: [{ line, html }]
+     * Matches close enough to share context are shown in one excerpt
+     */
+    getSnippets(text, pattern) {
+        const source = text || '';
+        const windows = [];
+        this.findMatches(source, pattern).forEach(({ start, end }) => {
+            const from = Math.max(0, start - this.snippetContext);
+            const to = Math.min(source.length, end + this.snippetContext);
+            const previous = windows[windows.length - 1];
+            if (previous && from <= previous.to) {
+                previous.to = to;
+            } else {
+                windows.push({ start, from, to });
+            }
+        });
+
+        return windows.slice(0, this.maxSnippets).map(({ start, from, to }) => ({
+            line: source.slice(0, start).split('\n').length,
+            html: (from > 0 ? '...' : '') +
+                this.highlight(source.slice(from, to).replace(/\s+/g, ' '), pattern) +
+                (to < source.length ? '...' : '')
+        }));
+    }
+}
+
+// Global instance for easy access
+window.promptSearch = new PromptSearch();
+
+// Export for use in other modules
+window.PromptSearch = PromptSearch;
@@ -0,0 +1,370 @@
+// Regression Dashboard JavaScript with Alpine.js
+
+// Metrics charted per revision; direction says which way is worse
+const REGRESSION_METRICS = {
+    score: { label: 'Score (%)', worseWhen: 'lower' },
+    tokens: { label: 'Tokens', worseWhen: 'higher' },
+    latency: { label: 'Latency (ms)', worseWhen: 'higher' }
+};
+
+// Line name used for whole-workflow metrics alongside the per-agent lines
+const WORKFLOW_LINE = '__workflow__';
+
+const LINE_COLORS = ['#8B5CF6', '#0d6efd', '#20c997', '#fd7e14', '#d63384', '#6f42c1', '#198754', '#0dcaf0'];
+
+/**
+ * Regression Analyzer
+ * Turns stored run history records into per-revision metric series and flags regressions
+ */
+class RegressionAnalyzer {
+    /**
+     * Runs are comparable when they share a dataset: batch runs by dataset name,
+     * single runs by their exact inputs
+     */
+    getDatasetKey(record) {
+        if (record.kind === 'batch') {
+            return `batch:${record.datasetName || 'Unnamed dataset'}`;
+        }
+        return `input:${JSON.stringify(record.inputs || {})}`;
+    }
+
+    /**
+     * Distinct datasets in a set of records: [{ key, label, runCount }]
+     */
+    getDatasets(records) {
+        const datasets = {};
+        records.forEach(record => {
+            const key = this.getDatasetKey(record);
+            if (!datasets[key]) {
+                const inputs = JSON.stringify(record.inputs || {});
+                datasets[key] = {
+                    key,
+                    label: record.kind === 'batch'
+                        ? `Dataset: ${record.datasetName || 'Unnamed dataset'}`
+                        : `Single input: ${inputs.length > 60 ? inputs.substring(0, 60) + '...' : inputs}`,
+                    runCount: 0
+                };
+            }
+            datasets[key].runCount++;
+        });
+        return Object.values(datasets).sort((a, b) => b.runCount - a.runCount);
+    }
+
+    /**
+     * Metrics for one record: { lineName: { score, tokens, latency } }
+     */
+    getRecordMetrics(record) {
+        const resultsList = record.kind === 'batch'
+            ? (record.batchRun?.cases || []).map(caseResult => caseResult.results).filter(Boolean)
+            : [record.results].filter(Boolean);
+        const lines = {};
+
+        const summary = record.batchRun?.summary;
+        lines[WORKFLOW_LINE] = {
+            score: record.metrics?.score ?? null,
+            tokens: summary ? (summary.completed ? summary.totalTokens / summary.completed : null) : record.metrics?.totalTokens ?? null,
+            latency: record.metrics?.totalTime ?? null
+        };
+
+        // Average every agent's metrics over the record's results
+        const totals = {};
+        resultsList.forEach(results => {
+            (results.agentResults || []).forEach(agentResult => {
+                const total = totals[agentResult.agentName] || (totals[agentResult.agentName] = { score: [], tokens: [], latency: [] });
+                const score = agentResult.score?.score ?? agentResult.judge?.percent;
+                if (score !== null && score !== undefined) {
+                    total.score.push(score);
+                }
+                total.tokens.push(agentResult.tokensUsed || 0);
+                total.latency.push(agentResult.executionTime || 0);
+            });
+        });
+
+        Object.entries(totals).forEach(([agentName, total]) => {
+            lines[agentName] = {
+                score: this.average(total.score),
+                tokens: this.average(total.tokens),
+                latency: this.average(total.latency)
+            };
+        });
+
+        return lines;
+    }
+
+    /**
+     * Build per-revision series for a set of comparable records
+     * Revisions are ordered by when they were first evaluated
+     * Returns { revisions: [{ revisionId, runCount, lastRunAt }], lines: [{ name, values: { metric: [] } }] }
+     */
+    buildSeries(records) {
+        const sorted = [...records].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const revisionOrder = [];
+        const byRevision = {};
+
+        sorted.forEach(record => {
+            if (!byRevision[record.revisionId]) {
+                byRevision[record.revisionId] = [];
+                revisionOrder.push(record.revisionId);
+            }
+            byRevision[record.revisionId].push(this.getRecordMetrics(record));
+        });
+
+        const lineNames = [...new Set(Object.values(byRevision).flat().flatMap(metrics => Object.keys(metrics)))];
+        const lines = lineNames.map(name => {
+            const values = {};
+            Object.keys(REGRESSION_METRICS).forEach(metric => {
+                values[metric] = revisionOrder.map(revisionId => this.average(
+                    byRevision[revisionId]
+                        .map(metrics => metrics[name]?.[metric])
+                        .filter(value => value !== null && value !== undefined)
+                ));
+            });
+            return { name, values };
+        });
+
+        return {
+            revisions: revisionOrder.map(revisionId => ({
+                revisionId,
+                runCount: byRevision[revisionId].length,
+                lastRunAt: sorted.filter(record => record.revisionId === revisionId).pop().createdAt
+            })),
+            lines
+        };
+    }
+
+    /**
+     * Flag revisions where a metric got worse than the previous revision by more than thresholdPercent
+     * Returns [{ revisionId, previousRevisionId, line, metric, previous, current, changePercent }]
+     */
+    findRegressions(series, thresholdPercent) {
+        const regressions = [];
+
+        series.lines.forEach(line => {
+            Object.entries(REGRESSION_METRICS).forEach(([metric, definition]) => {
+                const values = line.values[metric];
+                for (let i = 1; i < values.length; i++) {
+                    const previous = values[i - 1];
+                    const current = values[i];
+                    if (previous === null || current === null || previous === 0) {
+                        continue;
+                    }
+
+                    const changePercent = ((current - previous) / previous) * 100;
+                    const worseBy = definition.worseWhen === 'lower' ? -changePercent : changePercent;
+                    if (worseBy > thresholdPercent) {
+                        regressions.push({
+                            revisionId: series.revisions[i].revisionId,
+                            previousRevisionId: series.revisions[i - 1].revisionId,
+                            line: line.name,
+                            metric,
+                            previous,
+                            current,
+                            changePercent: Math.round(changePercent * 10) / 10
+                        });
+                    }
+                }
+            });
+        });
+
+        return regressions;
+    }
+
+    /**
+     * Average of a list of numbers (null for an empty list)
+     */
+    average(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+    }
+}
+
+// Chart.js instances are kept outside Alpine state so they are not wrapped in proxies
+const regressionCharts = {};
+
+function regressionDashboardApp() {
+    return {
+        // State
+        loading: true,
+        records: [],
+        workflows: [],
+        selectedWorkflow: '',
+        datasets: [],
+        selectedDataset: '',
+        series: null,
+        regressions: [],
+        metrics: REGRESSION_METRICS,
+        analyzer: new RegressionAnalyzer(),
+
+        // Dashboard settings (persisted in localStorage)
+        settings: {
+            threshold_percent: 10 // Flag a metric when it is this much worse than the previous revision
+        },
+        settingsStorageKey: 'regression_dashboard_settings',
+
+        // Initialize the dashboard
+        async init() {
+            this.loadSettings();
+
+            try {
+                // Demo runs hold generated numbers, not revision metrics
+                this.records = (await runHistory.listRuns()).filter(record => !record.demo);
+            } catch (error) {
+                console.error('Error loading run history:', error);
+                this.records = [];
+            }
+
+            this.workflows = [...new Map(this.records.map(record => [record.workflowId, {
+                id: record.workflowId,
+                name: record.workflowName || record.workflowId
+            }])).values()];
+
+            const urlParams = new URLSearchParams(window.location.search);
+            const requestedWorkflow = urlParams.get('workflow');
+            this.selectedWorkflow = this.workflows.some(workflow => workflow.id === requestedWorkflow)
+                ? requestedWorkflow
+                : (this.workflows[0]?.id || '');
+
+            this.loading = false;
+            this.selectWorkflow();
+        },
+
+        // Load persisted settings
+        loadSettings() {
+            try {
+                Object.assign(this.settings, JSON.parse(localStorage.getItem(this.settingsStorageKey)) || {});
+            } catch (error) {
+                console.warn('Failed to load dashboard settings from localStorage:', error);
+            }
+        },
+
+        // Persist settings and re-evaluate regressions
+        saveSettings() {
+            try {
+                localStorage.setItem(this.settingsStorageKey, JSON.stringify(this.settings));
+            } catch (error) {
+                console.warn('Failed to save dashboard settings to localStorage:', error);
+            }
+            this.analyze();
+        },
+
+        // Records for the selected workflow
+        getWorkflowRecords() {
+            return this.records.filter(record => record.workflowId === this.selectedWorkflow);
+        },
+
+        // Workflow changed: refresh the dataset list
+        selectWorkflow() {
+            this.datasets = this.analyzer.getDatasets(this.getWorkflowRecords());
+            this.selectedDataset = this.datasets[0]?.key || '';
+            this.analyze();
+        },
+
+        // Build the series for the selected dataset, flag regressions and redraw
+        analyze() {
+            const records = this.getWorkflowRecords()
+                .filter(record => this.analyzer.getDatasetKey(record) === this.selectedDataset);
+
+            if (records.length === 0) {
+                this.series = null;
+                this.regressions = [];
+                this.destroyCharts();
+                return;
+            }
+
+            this.series = this.analyzer.buildSeries(records);
+            this.regressions = this.analyzer.findRegressions(this.series, this.settings.threshold_percent);
+            this.$nextTick(() => this.renderCharts());
+        },
+
+        // Display label for a series line
+        getLineLabel(lineName) {
+            return lineName === WORKFLOW_LINE ? 'Workflow' : lineName;
+        },
+
+        // Whole-workflow metric value for a revision index
+        getWorkflowValue(metric, index) {
+            return this.series?.lines.find(line => line.name === WORKFLOW_LINE)?.values[metric][index] ?? null;
+        },
+
+        // Regressions flagged for a revision
+        getRevisionRegressions(revisionId) {
+            return this.regressions.filter(regression => regression.revisionId === revisionId);
+        },
+
+        // Format a metric value for display
+        formatMetric(metric, value) {
+            if (value === null || value === undefined) return '—';
+            if (metric === 'score') return `${value}%`;
+            if (metric === 'latency') return `${Math.round(value)}ms`;
+            return Math.round(value).toLocaleString();
+        },
+
+        // Remove existing charts
+        destroyCharts() {
+            Object.keys(regressionCharts).forEach(metric => {
+                regressionCharts[metric].destroy();
+                delete regressionCharts[metric];
+            });
+        },
+
+        // Draw one line chart per metric with a line per agent
+        renderCharts() {
+            this.destroyCharts();
+            if (!this.series || typeof Chart === 'undefined') {
+                return;
+            }
+
+            const labels = this.series.revisions.map(revision => revision.revisionId);
+
+            Object.entries(REGRESSION_METRICS).forEach(([metric, definition]) => {
+                const canvas = document.getElementById(`chart-${metric}`);
+                if (!canvas) return;
+
+                const datasets = this.series.lines.map((line, index) => {
+                    const color = LINE_COLORS[index % LINE_COLORS.length];
+                    // Regressed points are drawn larger and in red
+                    const flagged = labels.map(revisionId => this.regressions.some(regression =>
+                        regression.revisionId === revisionId && regression.line === line.name && regression.metric === metric));
+                    return {
+                        label: this.getLineLabel(line.name),
+                        data: line.values[metric],
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderWidth: line.name === WORKFLOW_LINE ? 3 : 2,
+                        borderDash: line.name === WORKFLOW_LINE ? [] : [4, 3],
+                        pointRadius: flagged.map(isFlagged => (isFlagged ? 6 : 3)),
+                        pointBackgroundColor: flagged.map(isFlagged => (isFlagged ? '#dc3545' : color)),
+                        spanGaps: true
+                    };
+                });
+
+                regressionCharts[metric] = new Chart(canvas, {
+                    type: 'line',
+                    data: { labels, datasets },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            legend: { position: 'bottom' },
+                            title: { display: true, text: definition.label }
+                        },
+                        scales: {
+                            y: { beginAtZero: true }
+                        }
+                    }
+                });
+            });
+        },
+
+        // Open the evaluation page for the selected workflow
+        openEvaluation() {
+            window.location.href = `prompt-evaluation.html?workflow=${encodeURIComponent(this.selectedWorkflow)}`;
+        }
+    };
+}
+
+// Export for use in HTML
+window.regressionDashboardApp = regressionDashboardApp;
+window.RegressionAnalyzer = RegressionAnalyzer;
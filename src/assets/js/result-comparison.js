@@ -0,0 +1,105 @@
+/**
+ * Result Comparison
+ * Aligns two evaluation results (A/B prompt revisions) agent by agent
+ * Computes output diffs and token/latency deltas for the comparison view
+ */
+
+class ResultComparator {
+    constructor(textDiff = window.textDiff) {
+        this.textDiff = textDiff;
+    }
+
+    /**
+     * Compare two results objects ({ workflowOutput, agentResults })
+     */
+    compare(resultsA, resultsB) {
+        const agentNames = [];
+        [...(resultsA.agentResults || []), ...(resultsB.agentResults || [])].forEach(result => {
+            if (!agentNames.includes(result.agentName)) {
+                agentNames.push(result.agentName);
+            }
+        });
+
+        const agents = agentNames.map(agentName => {
+            const a = (resultsA.agentResults || []).find(result => result.agentName === agentName) || null;
+            const b = (resultsB.agentResults || []).find(result => result.agentName === agentName) || null;
+            return this.compareAgent(agentName, a, b);
+        });
+
+        const totalsA = this.getTotals(resultsA);
+        const totalsB = this.getTotals(resultsB);
+
+        return {
+            workflowOutput: {
+                a: resultsA.workflowOutput || '',
+                b: resultsB.workflowOutput || '',
+                diffHtml: this.textDiff.renderSideBySide(resultsA.workflowOutput || '', resultsB.workflowOutput || ''),
+                changed: (resultsA.workflowOutput || '') !== (resultsB.workflowOutput || '')
+            },
+            agents,
+            totals: {
+                tokensA: totalsA.tokens,
+                tokensB: totalsB.tokens,
+                tokenDelta: totalsB.tokens - totalsA.tokens,
+                latencyA: totalsA.latency,
+                latencyB: totalsB.latency,
+                latencyDelta: totalsB.latency - totalsA.latency
+            }
+        };
+    }
+
+    /**
+     * Compare a single agent's results (either side may be missing)
+     */
+    compareAgent(agentName, a, b) {
+        const outputA = a?.output || '';
+        const outputB = b?.output || '';
+        const lineRows = this.textDiff.diffLines(outputA, outputB);
+
+        return {
+            agentName,
+            displayName: a?.displayName || b?.displayName || agentName,
+            a,
+            b,
+            tokenDelta: (b?.tokensUsed || 0) - (a?.tokensUsed || 0),
+            latencyDelta: (b?.executionTime || 0) - (a?.executionTime || 0),
+            changed: outputA !== outputB,
+            summary: this.textDiff.summarize(lineRows),
+            diffHtml: this.textDiff.renderSideBySideLines(lineRows),
+            expanded: false
+        };
+    }
+
+    /**
+     * Total tokens and latency for a results object
+     */
+    getTotals(results) {
+        const agentResults = results.agentResults || [];
+        const tokens = results.totalTokens ?? agentResults.reduce((sum, result) => sum + (result.tokensUsed || 0), 0);
+        const latency = results.totalTime || agentResults.reduce((sum, result) => sum + (result.executionTime || 0), 0);
+        return { tokens, latency };
+    }
+
+    /**
+     * Format a delta with sign and unit (e.g. "+120 tokens")
+     */
+    formatDelta(delta, unit = '') {
+        const sign = delta > 0 ? '+' : '';
+        return `${sign}${delta.toLocaleString()}${unit}`;
+    }
+
+    /**
+     * More tokens or latency is worse, fewer is better
+     */
+    getDeltaClass(delta) {
+        if (delta > 0) return 'text-danger';
+        if (delta < 0) return 'text-success';
+        return 'text-muted';
+    }
+}
+
+// Global instance for easy access
+window.resultComparator = new ResultComparator();
+
+// Export for use in other modules
+window.ResultComparator = ResultComparator;
@@ -0,0 +1,252 @@
+/**
+ * Run History
+ * Persists evaluation runs in IndexedDB so they survive reloads
+ * Optionally syncs records to a backend endpoint
+ */
+
+class RunHistoryStore {
+    constructor(options = {}) {
+        // Configuration
+        this.dbName = options.dbName || 'prompt_tuner';
+        this.storeName = options.storeName || 'evaluation_runs';
+        this.dbVersion = 1;
+        this.baseUrl = options.baseUrl || 'http://localhost:8000';
+        this.syncEndpoint = options.syncEndpoint || '/api/v1/evaluations/runs';
+        this.syncEnabled = options.syncEnabled || false;
+
+        this.dbPromise = null;
+        this.memoryRecords = []; // Used when IndexedDB is unavailable (private mode, old browsers)
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     */
+    openDb() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                        store.createIndex('workflowId', 'workflowId');
+                        store.createIndex('createdAt', 'createdAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('RunHistoryStore: IndexedDB unavailable, keeping history in memory:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     */
+    async withStore(mode, operation) {
+        const db = await this.openDb();
+        if (!db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build a history record from a finished run
+     * kind: 'single' | 'comparison' | 'batch'
+     */
+    createRecord({ workflowId, workflowName, revisionId, inputs, results = null, comparisonRevisionId = null, comparisonResults = null, batchRun = null, datasetName = null }) {
+        // Alpine proxies cannot be stored in IndexedDB - keep a plain copy
+        const plain = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+        const kind = batchRun ? 'batch' : (comparisonResults ? 'comparison' : 'single');
+        // Demo-mode results are generated locally; they stay out of metrics and backend sync
+        const demo = Boolean(results?.demo || comparisonResults?.demo ||
+            (batchRun?.cases || []).some(caseResult => caseResult.results?.demo));
+
+        return {
+            id: `run-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            kind,
+            demo,
+            workflowId,
+            workflowName: workflowName || workflowId,
+            revisionId,
+            comparisonRevisionId,
+            datasetName,
+            inputs: plain(inputs),
+            results: plain(results),
+            comparisonResults: plain(comparisonResults),
+            batchRun: plain(batchRun),
+            metrics: this.getMetrics(results, batchRun),
+            createdAt: new Date().toISOString(),
+            synced: false
+        };
+    }
+
+    /**
+     * Headline metrics shown in the history list
+     */
+    getMetrics(results, batchRun) {
+        if (batchRun) {
+            return {
+                totalTokens: batchRun.summary?.totalTokens || 0,
+                totalTime: batchRun.summary?.averageLatency || 0,
+                score: batchRun.summary?.total ? Math.round((batchRun.summary.passed / batchRun.summary.total) * 100) : null,
+                judgePercent: null
+            };
+        }
+        return {
+            totalTokens: results?.totalTokens || 0,
+            totalTime: results?.totalTime || 0,
+            score: results?.score?.score ?? null,
+            judgePercent: results?.judge?.averagePercent ?? null
+        };
+    }
+
+    /**
+     * Save a record locally and push it to the backend when sync is enabled
+     */
+    async saveRun(record) {
+        await this.putRecord(record);
+
+        if (this.syncEnabled && !record.demo) {
+            try {
+                await this.pushRun(record);
+                record.synced = true;
+                await this.putRecord(record);
+            } catch (error) {
+                console.warn('RunHistoryStore: Failed to sync run, will retry on next sync:', error);
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Insert or replace a record
+     */
+    async putRecord(record) {
+        const db = await this.openDb();
+        if (!db) {
+            this.memoryRecords = [record, ...this.memoryRecords.filter(existing => existing.id !== record.id)];
+            return;
+        }
+        await this.withStore('readwrite', store => store.put(record));
+    }
+
+    /**
+     * List records, newest first
+     * filters: { workflowId, revisionId, kind, search, since }
+     */
+    async listRuns(filters = {}) {
+        const db = await this.openDb();
+        const records = db ? await this.withStore('readonly', store => store.getAll()) : [...this.memoryRecords];
+        const search = (filters.search || '').toLowerCase();
+
+        return records
+            .filter(record => !filters.workflowId || record.workflowId === filters.workflowId)
+            .filter(record => !filters.revisionId || record.revisionId === filters.revisionId || record.comparisonRevisionId === filters.revisionId)
+            .filter(record => !filters.kind || record.kind === filters.kind)
+            .filter(record => !filters.since || record.createdAt >= filters.since)
+            .filter(record => !search || JSON.stringify([record.inputs, record.datasetName, record.results?.workflowOutput]).toLowerCase().includes(search))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a single record
+     */
+    async getRun(id) {
+        const db = await this.openDb();
+        if (!db) {
+            return this.memoryRecords.find(record => record.id === id) || null;
+        }
+        return (await this.withStore('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Delete a record locally and on the backend when it was synced
+     */
+    async deleteRun(id) {
+        const record = await this.getRun(id);
+        const db = await this.openDb();
+        if (!db) {
+            this.memoryRecords = this.memoryRecords.filter(existing => existing.id !== id);
+        } else {
+            await this.withStore('readwrite', store => store.delete(id));
+        }
+
+        if (this.syncEnabled && record?.synced) {
+            try {
+                const response = await fetch(`${this.baseUrl}${this.syncEndpoint}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+            } catch (error) {
+                console.warn('RunHistoryStore: Failed to delete synced run on the backend:', error);
+            }
+        }
+    }
+
+    /**
+     * POST a record to the backend sync endpoint
+     */
+    async pushRun(record) {
+        const response = await fetch(`${this.baseUrl}${this.syncEndpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...record, synced: true })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    }
+
+    /**
+     * Push unsynced local records and pull remote ones for a workflow
+     * Returns { pushed, pulled }
+     */
+    async sync(workflowId) {
+        const localRecords = await this.listRuns({ workflowId });
+        let pushed = 0;
+
+        for (const record of localRecords.filter(record => !record.synced && !record.demo)) {
+            await this.pushRun(record);
+            record.synced = true;
+            await this.putRecord(record);
+            pushed++;
+        }
+
+        const query = workflowId ? `?workflow_id=${encodeURIComponent(workflowId)}` : '';
+        const response = await fetch(`${this.baseUrl}${this.syncEndpoint}${query}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        const remoteRecords = Array.isArray(data) ? data : (data.runs || []);
+        const localIds = new Set(localRecords.map(record => record.id));
+        let pulled = 0;
+
+        for (const record of remoteRecords.filter(record => record.id && !record.demo && !localIds.has(record.id))) {
+            await this.putRecord({ ...record, synced: true });
+            pulled++;
+        }
+
+        return { pushed, pulled };
+    }
+}
+
+// Global instance for easy access
+window.runHistory = new RunHistoryStore();
+
+// Export for use in other modules
+window.RunHistoryStore = RunHistoryStore;
@@ -0,0 +1,453 @@
+/**
+ * Text Diff
+ * Line- and word-level text diffing (Myers algorithm)
+ * Produces diff rows for unified and side-by-side rendering
+ */
+
+class TextDiff {
+    constructor() {
+        // Configuration
+        this.maxWordDiffLength = 2000; // Skip word-level highlighting for very long lines
+    }
+
+    /**
+     * Diff two sequences of comparable items
+     * Returns operations: { type: 'equal' | 'insert' | 'delete', oldIndex, newIndex }
+     */
+    diffSequences(oldItems, newItems) {
+        const operations = [];
+        this.diffRange(oldItems, 0, oldItems.length, newItems, 0, newItems.length, operations);
+        return operations;
+    }
+
+    /**
+     * Diff oldItems[oldStart, oldEnd) against newItems[newStart, newEnd), appending operations
+     * Linear-space Myers: split at the middle snake and diff both halves, so memory stays O(n + m)
+     */
+    diffRange(oldItems, oldStart, oldEnd, newItems, newStart, newEnd, operations) {
+        while (oldStart < oldEnd && newStart < newEnd && oldItems[oldStart] === newItems[newStart]) {
+            operations.push({ type: 'equal', oldIndex: oldStart++, newIndex: newStart++ });
+        }
+        let suffix = 0;
+        while (oldStart < oldEnd - suffix && newStart < newEnd - suffix &&
+            oldItems[oldEnd - 1 - suffix] === newItems[newEnd - 1 - suffix]) {
+            suffix++;
+        }
+        oldEnd -= suffix;
+        newEnd -= suffix;
+
+        if (oldStart === oldEnd) {
+            for (let y = newStart; y < newEnd; y++) {
+                operations.push({ type: 'insert', oldIndex: null, newIndex: y });
+            }
+        } else if (newStart === newEnd) {
+            for (let x = oldStart; x < oldEnd; x++) {
+                operations.push({ type: 'delete', oldIndex: x, newIndex: null });
+            }
+        } else {
+            // Both ranges are non-empty and differ at both ends, so each half costs fewer edits than the whole
+            const [splitOld, splitNew] = this.findMiddleSnake(oldItems, oldStart, oldEnd, newItems, newStart, newEnd);
+            this.diffRange(oldItems, oldStart, splitOld, newItems, newStart, splitNew, operations);
+            this.diffRange(oldItems, splitOld, oldEnd, newItems, splitNew, newEnd, operations);
+        }
+
+        for (let i = 0; i < suffix; i++) {
+            operations.push({ type: 'equal', oldIndex: oldEnd + i, newIndex: newEnd + i });
+        }
+    }
+
+    /**
+     * Point on an optimal edit path where the forward and backward searches meet
+     * Returns [oldIndex, newIndex]
+     */
+    findMiddleSnake(oldItems, oldStart, oldEnd, newItems, newStart, newEnd) {
+        const n = oldEnd - oldStart;
+        const m = newEnd - newStart;
+        const delta = n - m;
+        const odd = (delta & 1) === 1;
+        const max = Math.ceil((n + m) / 2);
+        const offset = max + 1;
+        // Furthest x reached on each diagonal, forwards from the start and backwards from the end
+        const forward = new Int32Array(2 * max + 3);
+        const backward = new Int32Array(2 * max + 3);
+
+        for (let d = 0; d <= max; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                    ? forward[offset + k + 1]
+                    : forward[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && oldItems[oldStart + x] === newItems[newStart + y]) {
+                    x++;
+                    y++;
+                }
+                forward[offset + k] = x;
+                const backwardK = delta - k;
+                if (odd && backwardK >= -(d - 1) && backwardK <= d - 1 && x + backward[offset + backwardK] >= n) {
+                    return [oldStart + x, newStart + y];
+                }
+            }
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                    ? backward[offset + k + 1]
+                    : backward[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && oldItems[oldEnd - 1 - x] === newItems[newEnd - 1 - y]) {
+                    x++;
+                    y++;
+                }
+                backward[offset + k] = x;
+                const forwardK = delta - k;
+                if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+                    return [oldEnd - x, newEnd - y];
+                }
+            }
+        }
+
+        return [oldEnd, newEnd];
+    }
+
+    /**
+     * Split text into lines (normalizing line endings)
+     */
+    splitLines(text) {
+        const normalized = (text || '').replace(/\r\n/g, '\n');
+        return normalized === '' ? [] : normalized.split('\n');
+    }
+
+    /**
+     * Line-level diff
+     * Returns rows: { type, text, oldNumber, newNumber }
+     */
+    diffLines(oldText, newText) {
+        const oldLines = this.splitLines(oldText);
+        const newLines = this.splitLines(newText);
+
+        return this.diffSequences(oldLines, newLines).map(operation => ({
+            type: operation.type,
+            text: operation.type === 'insert' ? newLines[operation.newIndex] : oldLines[operation.oldIndex],
+            oldNumber: operation.oldIndex === null ? null : operation.oldIndex + 1,
+            newNumber: operation.newIndex === null ? null : operation.newIndex + 1
+        }));
+    }
+
+    /**
+     * Split a line into word, whitespace and punctuation tokens
+     */
+    tokenizeWords(text) {
+        return (text || '').match(/\s+|[\w]+|[^\w\s]/g) || [];
+    }
+
+    /**
+     * Word-level diff of two lines
+     * Returns { left: [{ type, text }], right: [{ type, text }] }
+     */
+    diffWords(oldLine, newLine) {
+        if ((oldLine || '').length + (newLine || '').length > this.maxWordDiffLength) {
+            return {
+                left: [{ type: 'delete', text: oldLine || '' }],
+                right: [{ type: 'insert', text: newLine || '' }]
+            };
+        }
+
+        const oldTokens = this.tokenizeWords(oldLine);
+        const newTokens = this.tokenizeWords(newLine);
+        const left = [];
+        const right = [];
+
+        this.diffSequences(oldTokens, newTokens).forEach(operation => {
+            if (operation.type === 'equal') {
+                left.push({ type: 'equal', text: oldTokens[operation.oldIndex] });
+                right.push({ type: 'equal', text: newTokens[operation.newIndex] });
+            } else if (operation.type === 'delete') {
+                left.push({ type: 'delete', text: oldTokens[operation.oldIndex] });
+            } else {
+                right.push({ type: 'insert', text: newTokens[operation.newIndex] });
+            }
+        });
+
+        return {
+            left: this.mergeSegments(left),
+            right: this.mergeSegments(right)
+        };
+    }
+
+    /**
+     * Merge adjacent segments of the same type
+     */
+    mergeSegments(segments) {
+        return segments.reduce((merged, segment) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === segment.type) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Pair deleted and inserted lines into side-by-side rows with word-level segments
+     * Returns rows: { type: 'equal' | 'change' | 'delete' | 'insert', left, right }
+     */
+    toSideBySide(lineRows) {
+        const rows = [];
+        let index = 0;
+
+        while (index < lineRows.length) {
+            const row = lineRows[index];
+
+            if (row.type === 'equal') {
+                rows.push({
+                    type: 'equal',
+                    left: { number: row.oldNumber, segments: [{ type: 'equal', text: row.text }] },
+                    right: { number: row.newNumber, segments: [{ type: 'equal', text: row.text }] }
+                });
+                index++;
+                continue;
+            }
+
+            // Collect a block of consecutive deletes followed by inserts
+            const deletes = [];
+            const inserts = [];
+            while (index < lineRows.length && lineRows[index].type === 'delete') {
+                deletes.push(lineRows[index++]);
+            }
+            while (index < lineRows.length && lineRows[index].type === 'insert') {
+                inserts.push(lineRows[index++]);
+            }
+
+            const pairs = Math.max(deletes.length, inserts.length);
+            for (let i = 0; i < pairs; i++) {
+                const deleted = deletes[i];
+                const inserted = inserts[i];
+
+                if (deleted && inserted) {
+                    const words = this.diffWords(deleted.text, inserted.text);
+                    rows.push({
+                        type: 'change',
+                        left: { number: deleted.oldNumber, segments: words.left },
+                        right: { number: inserted.newNumber, segments: words.right }
+                    });
+                } else if (deleted) {
+                    rows.push({
+                        type: 'delete',
+                        left: { number: deleted.oldNumber, segments: [{ type: 'delete', text: deleted.text }] },
+                        right: null
+                    });
+                } else {
+                    rows.push({
+                        type: 'insert',
+                        left: null,
+                        right: { number: inserted.newNumber, segments: [{ type: 'insert', text: inserted.text }] }
+                    });
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Count added/removed lines
+     */
+    summarize(lineRows) {
+        return {
+            added: lineRows.filter(row => row.type === 'insert').length,
+            removed: lineRows.filter(row => row.type === 'delete').length,
+            unchanged: lineRows.filter(row => row.type === 'equal').length
+        };
+    }
+
+    /**
+     * Changed regions of newLines relative to baseLines
+     * Returns hunks: { baseStart, baseEnd, lines } meaning base[baseStart, baseEnd) became lines
+     */
+    getHunks(baseLines, newLines) {
+        const hunks = [];
+        let basePosition = 0;
+        let current = null;
+
+        this.diffSequences(baseLines, newLines).forEach(operation => {
+            if (operation.type === 'equal') {
+                current = null;
+                basePosition++;
+                return;
+            }
+            if (!current) {
+                current = { baseStart: basePosition, baseEnd: basePosition, lines: [] };
+                hunks.push(current);
+            }
+            if (operation.type === 'delete') {
+                basePosition++;
+                current.baseEnd = basePosition;
+            } else {
+                current.lines.push(newLines[operation.newIndex]);
+            }
+        });
+
+        return hunks;
+    }
+
+    /**
+     * Three-way line merge of two edits of the same base text
+     * Changes to different regions are combined; overlapping changes become conflicts marked
+     * with <<<<<<< / ======= / >>>>>>> lines
+     * Returns { text, conflicts }
+     */
+    merge3(baseText, mineText, theirsText, labels = { mine: 'mine', theirs: 'theirs' }) {
+        const base = this.splitLines(baseText);
+        const mine = this.splitLines(mineText);
+        const theirs = this.splitLines(theirsText);
+        const hunks = [
+            ...this.getHunks(base, mine).map(hunk => ({ ...hunk, side: 'mine' })),
+            ...this.getHunks(base, theirs).map(hunk => ({ ...hunk, side: 'theirs' }))
+        ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+        // Group hunks whose base ranges overlap (or insert at the same point)
+        const overlaps = (group, hunk) => hunk.baseStart < group.baseEnd || hunk.baseStart === group.baseStart;
+        const groups = [];
+        hunks.forEach(hunk => {
+            const group = groups[groups.length - 1];
+            if (group && overlaps(group, hunk)) {
+                group.baseEnd = Math.max(group.baseEnd, hunk.baseEnd);
+                group.hunks.push(hunk);
+            } else {
+                groups.push({ baseStart: hunk.baseStart, baseEnd: hunk.baseEnd, hunks: [hunk] });
+            }
+        });
+
+        // One side's version of base[start, end) with its hunks applied
+        const applySide = (group, side) => {
+            const lines = [];
+            let position = group.baseStart;
+            group.hunks.filter(hunk => hunk.side === side).forEach(hunk => {
+                lines.push(...base.slice(position, hunk.baseStart), ...hunk.lines);
+                position = hunk.baseEnd;
+            });
+            lines.push(...base.slice(position, group.baseEnd));
+            return lines;
+        };
+
+        const output = [];
+        let position = 0;
+        let conflicts = 0;
+
+        groups.forEach(group => {
+            output.push(...base.slice(position, group.baseStart));
+            const sides = new Set(group.hunks.map(hunk => hunk.side));
+            const mineLines = applySide(group, 'mine');
+            const theirsLines = applySide(group, 'theirs');
+
+            if (sides.size === 1) {
+                output.push(...(sides.has('mine') ? mineLines : theirsLines));
+            } else if (mineLines.join('\n') === theirsLines.join('\n')) {
+                // Both sides made the same change
+                output.push(...mineLines);
+            } else {
+                conflicts++;
+                output.push(`<<<<<<< ${labels.mine}`, ...mineLines, '=======', ...theirsLines, `>>>>>>> ${labels.theirs}`);
+            }
+            position = group.baseEnd;
+        });
+        output.push(...base.slice(position));
+
+        return { text: output.join('\n'), conflicts };
+    }
+
+    /**
+     * Escape text for HTML rendering
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render word segments as HTML
+     */
+    renderSegments(segments) {
+        return segments.map(segment => {
+            const text = this.escapeHtml(segment.text);
+            if (segment.type === 'equal') {
+                return text;
+            }
+            return `<span class="diff-word-${segment.type}">${text}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Render a side-by-side diff table
+     */
+    renderSideBySide(oldText, newText) {
+        return this.renderSideBySideLines(this.diffLines(oldText, newText));
+    }
+
+    /**
+     * Render a side-by-side diff table from rows already computed by diffLines
+     */
+    renderSideBySideLines(lineRows) {
+        const rows = this.toSideBySide(lineRows);
+        if (rows.length === 0) {
+            return '<div class="diff-empty">Both versions are empty</div>';
+        }
+
+        const renderCell = (cell, side) => {
+            if (!cell) {
+                return '<td class="diff-line-number"></td><td class="diff-cell diff-cell-empty"></td>';
+            }
+            return `<td class="diff-line-number">${cell.number}</td><td class="diff-cell diff-cell-${side}">${this.renderSegments(cell.segments) || '&nbsp;'}</td>`;
+        };
+
+        const body = rows.map(row =>
+            `<tr class="diff-row diff-row-${row.type}">${renderCell(row.left, 'left')}${renderCell(row.right, 'right')}</tr>`
+        ).join('');
+
+        return `<table class="diff-table diff-side-by-side"><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Render a unified diff table (word-level highlighting on changed line pairs)
+     */
+    renderUnified(oldText, newText) {
+        const rows = this.toSideBySide(this.diffLines(oldText, newText));
+        if (rows.length === 0) {
+            return '<div class="diff-empty">Both versions are empty</div>';
+        }
+
+        const renderLine = (type, oldNumber, newNumber, segments) => {
+            const marker = { equal: ' ', delete: '-', insert: '+' }[type];
+            return `<tr class="diff-row diff-row-${type}">` +
+                `<td class="diff-line-number">${oldNumber ?? ''}</td>` +
+                `<td class="diff-line-number">${newNumber ?? ''}</td>` +
+                `<td class="diff-marker">${marker}</td>` +
+                `<td class="diff-cell">${this.renderSegments(segments) || '&nbsp;'}</td></tr>`;
+        };
+
+        const body = rows.map(row => {
+            if (row.type === 'equal') {
+                return renderLine('equal', row.left.number, row.right.number, row.left.segments);
+            }
+            let html = '';
+            if (row.left) {
+                html += renderLine('delete', row.left.number, null, row.left.segments);
+            }
+            if (row.right) {
+                html += renderLine('insert', null, row.right.number, row.right.segments);
+            }
+            return html;
+        }).join('');
+
+        return `<table class="diff-table diff-unified"><tbody>${body}</tbody></table>`;
+    }
+}
+
+// Global instance for easy access
+window.textDiff = new TextDiff();
+
+// Export for use in other modules
+window.TextDiff = TextDiff;
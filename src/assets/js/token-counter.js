@@ -0,0 +1,164 @@
+/**
+ * Token Counter
+ * Estimates prompt token counts per model family and checks them against context budgets
+ * Estimates follow each family's pre-tokenization rules closely enough for budgeting;
+ * the provider's tokenizer remains the source of truth for billing.
+ */
+
+// Tokenizer families and how densely they pack text
+// charsPerToken applies to word pieces; digitsPerToken to number runs
+const TOKENIZER_FAMILIES = {
+    o200k: { label: 'OpenAI o200k (GPT-4o / GPT-4.1)', charsPerToken: 4.2, digitsPerToken: 3 },
+    cl100k: { label: 'OpenAI cl100k (GPT-4 / GPT-3.5)', charsPerToken: 4.0, digitsPerToken: 3 },
+    claude: { label: 'Anthropic Claude', charsPerToken: 3.6, digitsPerToken: 1 },
+    gemini: { label: 'Google Gemini', charsPerToken: 4.0, digitsPerToken: 1 },
+    llama: { label: 'Llama / open models', charsPerToken: 3.8, digitsPerToken: 1 }
+};
+
+// Model name prefixes -> { family, contextWindow }; the longest matching prefix wins
+const MODEL_TOKEN_LIMITS = {
+    'gpt-4.1': { family: 'o200k', contextWindow: 1047576 },
+    'gpt-4o': { family: 'o200k', contextWindow: 128000 },
+    'o1': { family: 'o200k', contextWindow: 200000 },
+    'o3': { family: 'o200k', contextWindow: 200000 },
+    'o4': { family: 'o200k', contextWindow: 200000 },
+    'gpt-4-turbo': { family: 'cl100k', contextWindow: 128000 },
+    'gpt-4': { family: 'cl100k', contextWindow: 8192 },
+    'gpt-3.5-turbo': { family: 'cl100k', contextWindow: 16385 },
+    'claude': { family: 'claude', contextWindow: 200000 },
+    'gemini': { family: 'gemini', contextWindow: 1048576 },
+    'llama': { family: 'llama', contextWindow: 128000 },
+    'mistral': { family: 'llama', contextWindow: 32000 }
+};
+
+const DEFAULT_TOKEN_MODEL = 'gpt-4.1-nano';
+
+class TokenCounter {
+    constructor() {
+        // Configuration
+        this.storageKey = 'prompt_context_budgets';
+        this.warningRatio = 0.8; // Warn once a prompt uses this share of its budget
+    }
+
+    /**
+     * Token limits for a model name (falls back to the default model)
+     */
+    getModelInfo(modelName) {
+        const name = (modelName || DEFAULT_TOKEN_MODEL).toLowerCase();
+        const prefix = Object.keys(MODEL_TOKEN_LIMITS)
+            .filter(candidate => name.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        // Unknown models are estimated like current OpenAI models with a conservative window
+        return MODEL_TOKEN_LIMITS[prefix] || { family: 'o200k', contextWindow: 128000 };
+    }
+
+    /**
+     * Tokenizer family id for a model name
+     */
+    getFamily(modelName) {
+        return this.getModelInfo(modelName).family;
+    }
+
+    /**
+     * Estimate the token count of a text for a model
+     */
+    estimate(text, modelName) {
+        if (!text) {
+            return 0;
+        }
+        const family = TOKENIZER_FAMILIES[this.getFamily(modelName)];
+        // Same split as the GPT pre-tokenizers: words (with a leading space), numbers, punctuation runs, whitespace
+        const pieces = text.match(/ ?[A-Za-zÀ-ɏ]+| ?\d+| ?[^\sA-Za-z\dÀ-ɏ]+|\s+/g) || [];
+        let tokens = 0;
+
+        pieces.forEach(piece => {
+            const core = piece.trimStart();
+            if (!core) {
+                // Whitespace runs: each line break is usually its own token, spaces merge
+                tokens += Math.max(1, (piece.match(/\n/g) || []).length);
+            } else if (/^\d+$/.test(core)) {
+                tokens += Math.ceil(core.length / family.digitsPerToken);
+            } else if (/^[A-Za-zÀ-ɏ]+$/.test(core)) {
+                tokens += Math.max(1, Math.round(core.length / family.charsPerToken));
+            } else {
+                // Punctuation and symbols; CJK and other scripts are roughly one token per character
+                const wide = (core.match(/[^\x00-\x7F]/g) || []).length;
+                tokens += wide + Math.ceil((core.length - wide) / 2);
+            }
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Load budgets: { modelName: { budget, expectedInputTokens } }
+     */
+    loadBudgets() {
+        if (typeof Storage === 'undefined') {
+            return {};
+        }
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('TokenCounter: Failed to load context budgets from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist budgets
+     */
+    saveBudgets(budgets) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(budgets));
+        } catch (error) {
+            console.warn('TokenCounter: Failed to save context budgets to localStorage:', error);
+        }
+    }
+
+    /**
+     * Budget for a model: the configured one, or the model's context window with no expected input
+     */
+    getBudget(modelName, budgets = this.loadBudgets()) {
+        const configured = budgets[modelName] || {};
+        return {
+            budget: configured.budget || this.getModelInfo(modelName).contextWindow,
+            expectedInputTokens: configured.expectedInputTokens || 0
+        };
+    }
+
+    /**
+     * Check a prompt against its model's budget
+     * Returns { promptTokens, inputTokens, total, budget, percent, status: 'ok' | 'warning' | 'over' }
+     */
+    checkBudget(promptTokens, modelName, inputTokens = null, budgets = this.loadBudgets()) {
+        const { budget, expectedInputTokens } = this.getBudget(modelName, budgets);
+        const input = inputTokens ?? expectedInputTokens;
+        const total = promptTokens + input;
+        const ratio = budget ? total / budget : 0;
+
+        return {
+            promptTokens,
+            inputTokens: input,
+            total,
+            budget,
+            percent: Math.round(ratio * 1000) / 10,
+            status: ratio > 1 ? 'over' : (ratio >= this.warningRatio ? 'warning' : 'ok')
+        };
+    }
+
+    /**
+     * Compact token count for badges (e.g. 1.2k)
+     */
+    formatCount(tokens) {
+        return tokens >= 10000 ? `${Math.round(tokens / 1000)}k` : (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+    }
+}
+
+// Global instance for easy access
+window.tokenCounter = new TokenCounter();
+
+// Export for use in other modules
+window.TokenCounter = TokenCounter;
+window.TOKENIZER_FAMILIES = TOKENIZER_FAMILIES;
+window.MODEL_TOKEN_LIMITS = MODEL_TOKEN_LIMITS;
@@ -0,0 +1,213 @@
+/**
+ * Workflow Graph
+ * Builds and lays out the directed graph of a workflow's agents
+ * Edges come from the backend when it reports them, otherwise they are inferred from agent types
+ */
+
+// Agent types that start a workflow (hand work out) and that finish it (collect results)
+const GRAPH_ENTRY_TYPES = ['user_proxy'];
+const GRAPH_EXIT_TYPES = ['summary'];
+
+// Layout sizes in pixels
+const GRAPH_NODE_WIDTH = 190;
+const GRAPH_NODE_HEIGHT = 70;
+const GRAPH_LAYER_GAP = 90;
+const GRAPH_NODE_GAP = 24;
+const GRAPH_PADDING = 20;
+
+class WorkflowGraph {
+    /**
+     * Edges between agents: [{ from, to, inferred }]
+     * rawEdges may use { from, to } or { source, target }; edges to unknown agents are dropped
+     */
+    getEdges(agents, rawEdges = null) {
+        const names = new Set(agents.map(agent => agent.agent_name));
+        if (Array.isArray(rawEdges) && rawEdges.length > 0) {
+            return rawEdges
+                .map(edge => ({ from: edge.from || edge.source, to: edge.to || edge.target, inferred: false }))
+                .filter(edge => names.has(edge.from) && names.has(edge.to) && edge.from !== edge.to);
+        }
+        return this.inferEdges(agents);
+    }
+
+    /**
+     * Infer the hand-offs from agent types: the orchestrating user_proxy agent hands work to every
+     * worker agent, and workers feed the summary agents
+     */
+    inferEdges(agents) {
+        const byRole = { entry: [], worker: [], exit: [] };
+        agents.forEach(agent => {
+            byRole[this.getRole(agent)].push(agent.agent_name);
+        });
+
+        // Several user_proxy agents: the one named user_proxy orchestrates, the others do lookups
+        if (byRole.entry.length > 1) {
+            const orchestrator = byRole.entry.find(name => name === 'user_proxy') || byRole.entry[0];
+            byRole.worker.unshift(...byRole.entry.filter(name => name !== orchestrator));
+            byRole.entry = [orchestrator];
+        }
+
+        const edges = [];
+        const connect = (fromNames, toNames) => fromNames.forEach(from => toNames.forEach(to => {
+            edges.push({ from, to, inferred: true });
+        }));
+
+        if (byRole.worker.length > 0) {
+            connect(byRole.entry, byRole.worker);
+            connect(byRole.worker, byRole.exit);
+        } else {
+            connect(byRole.entry, byRole.exit);
+        }
+        return edges;
+    }
+
+    /**
+     * Role of an agent in the inferred flow: entry | worker | exit
+     */
+    getRole(agent) {
+        if (GRAPH_ENTRY_TYPES.includes(agent.agent_type)) return 'entry';
+        if (GRAPH_EXIT_TYPES.includes(agent.agent_type)) return 'exit';
+        return 'worker';
+    }
+
+    /**
+     * Agents with a path to the given agent (its direct and indirect inputs), nearest first
+     */
+    getUpstream(agentName, edges) {
+        const upstream = [];
+        const queue = [agentName];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            edges.filter(edge => edge.to === current).forEach(edge => {
+                if (edge.from !== agentName && !upstream.includes(edge.from)) {
+                    upstream.push(edge.from);
+                    queue.push(edge.from);
+                }
+            });
+        }
+        return upstream;
+    }
+
+    /**
+     * Layer every agent by its longest path from a source (cycles are broken at back edges)
+     * Returns { nodes: [{ name, x, y, layer }], edges: [{ from, to, inferred, path }], width, height }
+     */
+    layout(agents, edges) {
+        const names = agents.map(agent => agent.agent_name);
+        const outgoing = {};
+        names.forEach(name => {
+            outgoing[name] = [];
+        });
+        edges.forEach(edge => outgoing[edge.from].push(edge.to));
+
+        // Depth-first search to find back edges, which are ignored when layering
+        const state = {};
+        const backEdges = new Set();
+        const visit = (name) => {
+            state[name] = 'visiting';
+            outgoing[name].forEach(next => {
+                if (state[next] === 'visiting') {
+                    backEdges.add(`${name}->${next}`);
+                } else if (!state[next]) {
+                    visit(next);
+                }
+            });
+            state[name] = 'done';
+        };
+        // Start from agents nothing hands off to (or the orchestrators), so a loop back to the start counts as the back edge
+        const targets = new Set(edges.map(edge => edge.to));
+        const entries = agents.filter(agent => this.getRole(agent) === 'entry').map(agent => agent.agent_name);
+        [...names.filter(name => !targets.has(name)), ...entries, ...names].forEach(name => {
+            if (!state[name]) visit(name);
+        });
+
+        const forward = edges.filter(edge => !backEdges.has(`${edge.from}->${edge.to}`));
+        const layers = {};
+        names.forEach(name => {
+            layers[name] = 0;
+        });
+        // Relax longest paths; at most one pass per node in an acyclic graph
+        for (let pass = 0; pass < names.length; pass++) {
+            let changed = false;
+            forward.forEach(edge => {
+                if (layers[edge.to] < layers[edge.from] + 1) {
+                    layers[edge.to] = layers[edge.from] + 1;
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        const columns = [];
+        names.forEach(name => {
+            (columns[layers[name]] = columns[layers[name]] || []).push(name);
+        });
+        const tallest = Math.max(1, ...columns.map(column => (column || []).length));
+        const nodesHeight = GRAPH_PADDING * 2 + tallest * GRAPH_NODE_HEIGHT + (tallest - 1) * GRAPH_NODE_GAP;
+        // Room below the nodes for edges looping back
+        const height = nodesHeight + (backEdges.size > 0 ? GRAPH_NODE_GAP : 0);
+        const width = GRAPH_PADDING * 2 + columns.length * GRAPH_NODE_WIDTH + Math.max(0, columns.length - 1) * GRAPH_LAYER_GAP;
+
+        const positions = {};
+        const nodes = [];
+        columns.forEach((column, layer) => {
+            const columnHeight = column.length * GRAPH_NODE_HEIGHT + (column.length - 1) * GRAPH_NODE_GAP;
+            const top = (nodesHeight - columnHeight) / 2;
+            column.forEach((name, index) => {
+                const node = {
+                    name,
+                    layer,
+                    x: GRAPH_PADDING + layer * (GRAPH_NODE_WIDTH + GRAPH_LAYER_GAP),
+                    y: top + index * (GRAPH_NODE_HEIGHT + GRAPH_NODE_GAP)
+                };
+                positions[name] = node;
+                nodes.push(node);
+            });
+        });
+
+        return {
+            nodes,
+            edges: edges.map(edge => ({ ...edge, path: this.getEdgePath(positions[edge.from], positions[edge.to]) })),
+            width,
+            height
+        };
+    }
+
+    /**
+     * SVG path from the right side of one node to the left side of another
+     * Edges pointing backwards (cycles) loop under the nodes
+     */
+    getEdgePath(from, to) {
+        const startY = from.y + GRAPH_NODE_HEIGHT / 2;
+        const endY = to.y + GRAPH_NODE_HEIGHT / 2;
+        if (to.layer > from.layer) {
+            const startX = from.x + GRAPH_NODE_WIDTH;
+            const endX = to.x;
+            const bend = (endX - startX) / 2;
+            return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+        }
+        const startX = from.x + GRAPH_NODE_WIDTH / 2;
+        const endX = to.x + GRAPH_NODE_WIDTH / 2;
+        const bottom = Math.max(from.y, to.y) + GRAPH_NODE_HEIGHT + GRAPH_NODE_GAP;
+        return `M ${startX} ${from.y + GRAPH_NODE_HEIGHT} C ${startX} ${bottom}, ${endX} ${bottom}, ${endX} ${to.y + GRAPH_NODE_HEIGHT}`;
+    }
+
+    /**
+     * SVG markup for the edges (x-for cannot render inside <svg>, so edges are drawn as markup)
+     * edgeClass(edge) returns extra CSS classes, e.g. for edges of the running agent
+     */
+    renderEdges(layout, edgeClass = () => '') {
+        const paths = layout.edges.map(edge =>
+            `<path class="graph-edge ${edge.inferred ? 'inferred' : ''} ${edgeClass(edge)}" d="${edge.path}" marker-end="url(#graph-arrow)"></path>`);
+        return `<defs><marker id="graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+            `<path d="M 0 0 L 10 5 L 0 10 z" class="graph-arrow"></path></marker></defs>${paths.join('')}`;
+    }
+}
+
+// Global instance for easy access
+window.workflowGraph = new WorkflowGraph();
+
+// Export for use in other modules
+window.WorkflowGraph = WorkflowGraph;
+window.GRAPH_NODE_WIDTH = GRAPH_NODE_WIDTH;
+window.GRAPH_NODE_HEIGHT = GRAPH_NODE_HEIGHT;
@@ -5,9 +5,11 @@ const WORKFLOW_API_CONFIG = {
     baseUrl: 'http://localhost:8000', // API base URL
     endpoints: {
         allWorkflows: '/api/v1/workflows', // New endpoint for getting all workflows
+        workflowsList: '/api/v1/workflows/list', // Workflows with their prompt revision and prompt files
         workflowDetails: '/api/v1/workflows/{workflowId}',
         workflowAgents: '/api/v1/custom-workflows/agents/{workflow-name}',
         runWorkflow: '/api/v1/workflows/{workflowId}/run',
+        streamWorkflow: '/api/v1/workflows/{workflowId}/run/stream',
         editPrompt: '/api/v1/agents/{agentName}/prompt',
         viewLogs: '/api/v1/agents/{agentName}/logs'
     }
@@ -316,6 +318,10 @@ const SAMPLE_WORKFLOWS = {
     }
 };
 
+// Follow-mode polling for the log viewer (kept outside Alpine state)
+const LOG_FOLLOW_INTERVAL_MS = 3000;
+let logFollowTimer = null;
+
 // Alpine.js data for workflow process page
 function workflowProcessApp() {
     return {
@@ -326,6 +332,18 @@ function workflowProcessApp() {
             status: 'loading',
             agents: []
         },
+        agentPrompts: {}, // { agentName: { files, source } } - which prompt files each agent consumes
+        workflowEdges: null, // Agent hand-offs reported by the backend ([{ from, to }]); inferred from agent types when absent
+        processView: 'graph', // 'graph' | 'steps'
+        graphLayout: { nodes: [], edges: [], width: 0, height: 0 }, // Laid out once the agents and edges load
+        runResults: null, // Live results of the run started from this page (agentResults carry each agent's status)
+        lastRunResults: null, // Results of the latest saved run of this workflow, for "last output"
+        lastRunInputs: null, // Inputs of that run, offered as the starting point for a new run
+        promptRevisionId: null, // Prompt revision the workflow currently uses (from the workflows list)
+        runForm: null, // { inputsText, revisionId, error } for the run modal
+        selectedNode: null, // Agent opened from the graph
+        logViewer: null, // { agent, entries, page, pageSize, total, hasMore, hiddenCount, loading, error, filters, expanded, follow } for the logs modal
+        logLevels: LOG_LEVELS,
         currentStep: -1, // Start with no active step
         loading: false,
         error: null,
@@ -363,6 +381,8 @@ function workflowProcessApp() {
                 
                 // Then load workflow agents from the agents API endpoint
                 await this.loadWorkflowAgents(workflowId);
+                await this.loadAgentPrompts(workflowId);
+                await this.loadLastRun();
                 
             } catch (error) {
                 console.error('Error loading workflow details:', error);
@@ -372,6 +392,7 @@ function workflowProcessApp() {
                     this.workflow = SAMPLE_WORKFLOWS[workflowId];
                 }
             } finally {
+                this.updateGraphLayout();
                 this.loading = false;
             }
         },
@@ -438,6 +459,7 @@ function workflowProcessApp() {
                 // Update workflow with agents data only (preserve name/description from workflows API)
                 this.workflow.id = data.workflow_name;
                 this.workflow.agents = data.agents || []; // Ensure agents is always an array
+                this.workflowEdges = data.edges || data.flow || null;
                 
                 console.log('Loaded workflow agents from API:', data);
                 
@@ -454,6 +476,273 @@ function workflowProcessApp() {
             }
         },
         
+        // Resolve which prompt files each agent consumes
+        async loadAgentPrompts(workflowId) {
+            let promptWorkflow = null;
+            try {
+                const response = await fetch(`${WORKFLOW_API_CONFIG.baseUrl}${WORKFLOW_API_CONFIG.endpoints.workflowsList}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                promptWorkflow = (data.workflows || []).find(w => w.workflow === (this.workflow.id || workflowId)) || null;
+                this.promptRevisionId = promptWorkflow?.revision_id || null;
+            } catch (error) {
+                console.warn('Prompt files unavailable, agent prompts come from agent declarations only:', error.message);
+            }
+            
+            const mapper = new AgentPromptMap({
+                baseUrl: WORKFLOW_API_CONFIG.baseUrl,
+                agentPromptEndpoint: WORKFLOW_API_CONFIG.endpoints.editPrompt
+            });
+            this.agentPrompts = await mapper.load({
+                agents: this.workflow.agents,
+                revisionId: promptWorkflow?.revision_id || null,
+                promptFiles: promptWorkflow?.prompt_files || []
+            });
+        },
+        
+        // Prompt files an agent consumes
+        getAgentPromptFiles(agent) {
+            return this.agentPrompts[agent.agent_name]?.files || [];
+        },
+        
+        // Tooltip explaining where an agent's prompt mapping came from
+        getAgentPromptSource(agent) {
+            const sources = {
+                'backend': 'Reported by the backend',
+                'manifest': `Declared in ${AGENT_PROMPT_MANIFEST_FILE}`,
+                'agent': 'Declared on the agent',
+                'inferred': 'Guessed from the file name'
+            };
+            return sources[this.agentPrompts[agent.agent_name]?.source] || '';
+        },
+        
+        // Open a prompt in the prompt manager
+        openAgentPrompt(file) {
+            const params = new URLSearchParams({
+                workflowId: this.workflow.id,
+                prompt: file
+            });
+            window.location.href = `manage-prompts.html?${params.toString()}`;
+        },
+        
+        // Latest saved run of this workflow (from the evaluation page's run history)
+        async loadLastRun() {
+            try {
+                const records = await runHistory.listRuns({ workflowId: this.workflow.id });
+                const record = records.find(candidate => candidate.results) || null;
+                this.lastRunResults = record?.results || null;
+                this.lastRunInputs = record?.inputs || null;
+            } catch (error) {
+                console.warn('Run history unavailable:', error);
+                this.lastRunResults = null;
+                this.lastRunInputs = null;
+            }
+        },
+        
+        // Lay out the agents and their hand-offs (the layout only changes when they do)
+        updateGraphLayout() {
+            const edges = workflowGraph.getEdges(this.workflow.agents, this.workflowEdges);
+            this.graphLayout = workflowGraph.layout(this.workflow.agents, edges);
+        },
+        
+        // Whether the graph edges were inferred from agent types
+        isGraphInferred() {
+            return this.graphLayout.edges.some(edge => edge.inferred);
+        },
+        
+        // SVG markup for the graph edges; edges into or out of a running agent are highlighted
+        renderGraphEdges() {
+            return workflowGraph.renderEdges(this.graphLayout, edge =>
+                (this.getNodeState(edge.from) === 'running' || this.getNodeState(edge.to) === 'running' ? 'active' : ''));
+        },
+        
+        // Agent config by name
+        getAgentByName(agentName) {
+            return this.workflow.agents.find(agent => agent.agent_name === agentName) || null;
+        },
+        
+        // Latest result for an agent: the live run first, then the last saved run
+        getAgentResult(agentName) {
+            return this.runResults?.agentResults.find(result => result.agentName === agentName) ||
+                this.lastRunResults?.agentResults?.find(result => result.agentName === agentName) ||
+                null;
+        },
+        
+        // Run state of a graph node: idle (no live run) | pending | running | success | error
+        getNodeState(agentName) {
+            if (!this.runResults) return 'idle';
+            return this.runResults.agentResults.find(result => result.agentName === agentName)?.status || 'pending';
+        },
+        
+        // Open the details of a graph node
+        openAgentNode(agentName) {
+            this.selectedNode = this.getAgentByName(agentName);
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('agentNodeModal')).show();
+        },
+        
+        // Switch from the node details to the agent's logs
+        openNodeLogs(agent) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('agentNodeModal'));
+            if (modal) {
+                modal.hide();
+            }
+            setTimeout(() => this.openAgentLogs(agent), 300);
+        },
+        
+        // Log client for the logs endpoint
+        getLogClient() {
+            return new AgentLogClient({
+                baseUrl: WORKFLOW_API_CONFIG.baseUrl,
+                logsEndpoint: WORKFLOW_API_CONFIG.endpoints.viewLogs
+            });
+        },
+        
+        // Open the log viewer for an agent
+        openAgentLogs(agent) {
+            this.logViewer = {
+                agent,
+                entries: [],
+                page: 1,
+                pageSize: 50,
+                total: null,
+                hasMore: false,
+                hiddenCount: 0,
+                loading: false,
+                error: null,
+                filters: { level: '', since: '', until: '', runId: '' },
+                expanded: {},
+                follow: false
+            };
+            
+            const modalElement = document.getElementById('agentLogsModal');
+            bootstrap.Modal.getOrCreateInstance(modalElement).show();
+            modalElement.addEventListener('hidden.bs.modal', () => this.stopLogFollow(), { once: true });
+            
+            this.loadLogs(1);
+        },
+        
+        // Load a page of logs with the current filters
+        async loadLogs(page) {
+            const viewer = this.logViewer;
+            viewer.loading = true;
+            viewer.error = null;
+            
+            try {
+                const result = await this.getLogClient().fetchLogs(viewer.agent.agent_name, {
+                    page,
+                    pageSize: viewer.pageSize,
+                    filters: viewer.filters
+                });
+                viewer.entries = result.entries;
+                viewer.page = result.page;
+                viewer.total = result.total;
+                viewer.hasMore = result.hasMore;
+                viewer.hiddenCount = result.hiddenCount;
+            } catch (error) {
+                console.error('Error loading agent logs:', error);
+                viewer.error = error.message;
+                viewer.entries = [];
+            } finally {
+                viewer.loading = false;
+            }
+        },
+        
+        // Re-query from the first page after a filter change
+        applyLogFilters() {
+            this.loadLogs(1);
+        },
+        
+        // Clear every log filter
+        clearLogFilters() {
+            this.logViewer.filters = { level: '', since: '', until: '', runId: '' };
+            this.loadLogs(1);
+        },
+        
+        // Show only one run's entries
+        filterLogsByRun(runId) {
+            this.logViewer.filters.runId = runId;
+            this.loadLogs(1);
+        },
+        
+        // Expand or collapse an entry's payloads
+        toggleLogEntry(entry) {
+            this.logViewer.expanded[entry.id] = !this.logViewer.expanded[entry.id];
+        },
+        
+        // Tail the newest entries, polling the first page
+        toggleLogFollow() {
+            if (this.logViewer.follow) {
+                this.stopLogFollow();
+                return;
+            }
+            
+            this.logViewer.follow = true;
+            this.loadLogs(1);
+            logFollowTimer = setInterval(() => this.pollLogs(), LOG_FOLLOW_INTERVAL_MS);
+        },
+        
+        // Stop tailing
+        stopLogFollow() {
+            clearInterval(logFollowTimer);
+            logFollowTimer = null;
+            if (this.logViewer) {
+                this.logViewer.follow = false;
+            }
+        },
+        
+        // Prepend entries that arrived since the last poll
+        async pollLogs() {
+            const viewer = this.logViewer;
+            if (!viewer || viewer.loading) return;
+            
+            try {
+                const result = await this.getLogClient().fetchLogs(viewer.agent.agent_name, {
+                    page: 1,
+                    pageSize: viewer.pageSize,
+                    filters: viewer.filters
+                });
+                const knownIds = new Set(viewer.entries.map(entry => entry.id));
+                const newEntries = result.entries.filter(entry => !knownIds.has(entry.id));
+                if (newEntries.length > 0) {
+                    viewer.entries = [...newEntries, ...viewer.entries].slice(0, viewer.pageSize * 4);
+                }
+                viewer.total = result.total;
+                viewer.error = null;
+            } catch (error) {
+                console.warn('Log follow poll failed:', error.message);
+                viewer.error = error.message;
+            }
+        },
+        
+        // Pretty-printed request/response payload
+        formatLogPayload(payload) {
+            return this.getLogClient().formatPayload(payload);
+        },
+        
+        // Badge class for a log level
+        getLogLevelClass(level) {
+            const levelClasses = {
+                'debug': 'bg-secondary',
+                'info': 'bg-info text-dark',
+                'warning': 'bg-warning text-dark',
+                'error': 'bg-danger'
+            };
+            return levelClasses[level] || 'bg-secondary';
+        },
+        
+        // Copy log entries to the clipboard as JSON (as the backend returned them)
+        async copyLogsAsJson(entries) {
+            try {
+                await navigator.clipboard.writeText(JSON.stringify(entries.map(entry => entry.raw), null, 2));
+                console.log(`Copied ${entries.length} log entries to clipboard`);
+            } catch (err) {
+                console.error('Failed to copy to clipboard:', err);
+                alert('Failed to copy to clipboard');
+            }
+        },
+        
         // Get status badge class
         getStatusBadgeClass(status) {
             const statusClasses = {
@@ -479,17 +768,79 @@ function workflowProcessApp() {
             window.location.href = `prompt-evaluation.html?workflow=${this.workflow.id}`;
         },
         
-        // Simulate workflow execution with progress
-        async simulateWorkflowExecution() {
-            const steps = this.workflow.agents.length;
-            
-            for (let i = 0; i < steps; i++) {
-                this.currentStep = i;
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second between steps
+        // Open the regression dashboard for this workflow
+        openRegressionDashboard() {
+            if (!this.workflow.id) return;
+            window.location.href = `regression-dashboard.html?workflow=${encodeURIComponent(this.workflow.id)}`;
+        },
+        
+        // Open the run modal, starting from the inputs of the last saved run
+        openRunWorkflow() {
+            this.runForm = {
+                inputsText: JSON.stringify(this.lastRunInputs || {}, null, 2),
+                revisionId: this.promptRevisionId || '',
+                error: null
+            };
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('runWorkflowModal')).show();
+        },
+        
+        // Validate the run modal and start a streamed run
+        async startWorkflowRun() {
+            let inputs;
+            try {
+                inputs = JSON.parse(this.runForm.inputsText || '{}');
+            } catch (error) {
+                this.runForm.error = `Inputs are not valid JSON: ${error.message}`;
+                return;
+            }
+            if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+                this.runForm.error = 'Inputs must be a JSON object';
+                return;
+            }
+            if (!this.runForm.revisionId.trim()) {
+                this.runForm.error = 'Enter the prompt revision to run';
+                return;
             }
             
-            alert('Workflow execution completed successfully!');
-            this.currentStep = -1; // Reset to no active step
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('runWorkflowModal')).hide();
+            await this.executeWorkflowWithProgress(inputs, this.runForm.revisionId.trim());
+        },
+        
+        // Execute the workflow, advancing currentStep from streamed agent events
+        async executeWorkflowWithProgress(inputData, revisionId) {
+            const runner = new EvaluationRunner({
+                baseUrl: WORKFLOW_API_CONFIG.baseUrl,
+                runEndpoint: WORKFLOW_API_CONFIG.endpoints.runWorkflow,
+                streamEndpoint: WORKFLOW_API_CONFIG.endpoints.streamWorkflow
+            });
+            const previousStatus = this.workflow.status;
+            
+            this.workflow.status = 'running';
+            this.currentStep = 0;
+            // Filled in live by the runner; the graph colours nodes from each agent's status
+            this.runResults = runner.createPendingResults(this.workflow.agents);
+            
+            try {
+                await runner.streamWorkflow(this.workflow.id, inputData, revisionId, this.workflow.agents, {
+                    results: this.runResults,
+                    onEvent: (event) => {
+                        if (event.type === 'agent_started') {
+                            const index = this.workflow.agents.findIndex(agent => agent.agent_name === event.agentName);
+                            if (index > -1) {
+                                this.currentStep = index;
+                            }
+                        }
+                    }
+                });
+                
+                alert('Workflow execution completed successfully!');
+            } catch (error) {
+                console.error('Error executing workflow:', error);
+                alert(`Workflow execution failed: ${error.message}`);
+            } finally {
+                this.currentStep = -1; // Reset to no active step
+                this.workflow.status = previousStatus;
+            }
         },
         
         // Manage prompts